@@ -1,3 +1,15 @@
+/**
+ * Error thrown for a request the caller has to fix (a bad option, filter or schema).
+ * Public methods report it with status 400, any other error is a 500.
+ */
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+    this.status = 400;
+  }
+}
+
 /**
  * db class for Google Apps Script
  * Provides methods for Create, Read, Update, and Delete operations on Google Sheets
@@ -30,6 +42,17 @@ class DB {
       this.userLockService = LockService.getUserLock();
       this.lockTimeout = 100;
       this.readLockTimeout = 30000;
+      // max nesting of `include` in getAll/read
+      this.maxIncludeDepth = 3;
+      // set while db.transaction() holds the script lock
+      this.activeTransaction = null;
+      // per-table options from the table config, e.g. { softDelete: true }
+      this.tableOptions = {};
+      // seconds a create response is kept for its idempotencyKey (6 hours, the CacheService maximum)
+      this.idempotencyTtl = 21600;
+      this.idempotencyLockTimeout = 10000;
+      // tables registered by earlier executions
+      this._loadSchema();
     } catch (err) {
       console.error(
         `Something went wrong initializing the DB: ${err.message}`,
@@ -43,6 +66,8 @@ class DB {
   }
 
   _acquireLock(tableName, recordId, lockType) {
+    // A running transaction already holds the script lock until its callback ends
+    if (this.activeTransaction) return true;
     try {
       // create the lock key
       // const lockKey = `${tableName}_${recordId}_${lockType}`;
@@ -76,6 +101,7 @@ class DB {
   }
 
   _releaseLock(tableName, recordId, lockType) {
+    if (this.activeTransaction) return;
     try {
       // const lockKey = `${tableName}_${recordId}_${lockType}`;
       Utilities.sleep(400);
@@ -88,6 +114,137 @@ class DB {
     }
   }
 
+  /**
+   * Runs a create call once per idempotency key. The first successful response is cached for
+   * options.idempotencyTtl seconds (defaults to this.idempotencyTtl) and returned again for a
+   * repeated key. The user lock makes a retry wait for the call it repeats.
+   * @private
+   * @param {function(Object): Object} execute - Runs the call with the options minus idempotencyKey
+   */
+  _withIdempotency(operation, tableName, options, execute) {
+    const { idempotencyKey, idempotencyTtl, ...rest } = options;
+    const cacheKey = `IDEMPOTENCY_${operation}_${tableName}_${idempotencyKey}`;
+    // CacheService keys are limited to 250 characters, chunk keys add a suffix
+    if (
+      !["string", "number"].includes(typeof idempotencyKey) ||
+      idempotencyKey === "" ||
+      cacheKey.length > 240
+    ) {
+      return {
+        status: 400,
+        error: "Invalid idempotencyKey: expected a non-empty string",
+      };
+    }
+
+    if (!this.userLockService.tryLock(this.idempotencyLockTimeout)) {
+      return {
+        status: 500,
+        error: `Could not acquire lock for idempotency key ${idempotencyKey}`,
+      };
+    }
+    try {
+      const stored = this._getIdempotentResponse(cacheKey);
+      if (stored === false) {
+        return {
+          status: 500,
+          error: `The response stored for idempotency key ${idempotencyKey} was evicted from the cache, the call is not repeated`,
+        };
+      }
+      if (stored) {
+        console.log(
+          `[IDEMPOTENCY] ${operation} on ${tableName} already ran for key ${idempotencyKey}, returning its response`
+        );
+        return stored;
+      }
+
+      const result = execute(rest);
+      // Failed calls are not stored, so the client can retry them
+      if (result.status >= 200 && result.status < 300) {
+        try {
+          const keys = this._storeIdempotentResponse(
+            cacheKey,
+            result,
+            Math.min(idempotencyTtl || this.idempotencyTtl, 21600)
+          );
+          // A rollback forgets the key, the rows it refers to are gone
+          if (this.activeTransaction) {
+            this.activeTransaction.idempotencyKeys.push(...keys);
+          }
+        } catch (e) {
+          console.error(
+            `[IDEMPOTENCY] Could not store key ${idempotencyKey}: ${e.message}`
+          );
+          return {
+            ...result,
+            warning: `The response could not be stored for idempotency key ${idempotencyKey}, a retry would run the call again: ${e.message}`,
+          };
+        }
+      }
+      return result;
+    } finally {
+      this.userLockService.releaseLock();
+    }
+  }
+
+  /**
+   * Stores a response for its idempotency key. CacheService values are limited to 100 KB, so the
+   * JSON is split in chunks and the key itself holds the number of chunks. Dates are tagged so
+   * a replayed response returns them as dates; an object that has the tag key itself is stored
+   * as its entries, so user data can't be mistaken for a tag.
+   * @private
+   * @returns {string[]} Every cache key written
+   */
+  _storeIdempotentResponse(cacheKey, result, ttl) {
+    // characters per chunk, 3 bytes each at most for the 100 KB value limit
+    const CHUNK_SIZE = 30000;
+    const TYPE_KEY = DB.IDEMPOTENCY_TYPE_KEY;
+    const json = JSON.stringify(result, function (key, value) {
+      if (this[key] instanceof Date) return { [TYPE_KEY]: "date", value };
+      if (
+        value &&
+        typeof value === "object" &&
+        Object.prototype.hasOwnProperty.call(value, TYPE_KEY)
+      ) {
+        return { [TYPE_KEY]: "object", entries: Object.entries(value) };
+      }
+      return value;
+    });
+    const entries = {};
+    let count = 0;
+    for (let start = 0; start < json.length; start += CHUNK_SIZE) {
+      entries[`${cacheKey}_${count}`] = json.slice(start, start + CHUNK_SIZE);
+      count++;
+    }
+    entries[cacheKey] = String(count);
+    this.cache.putAll(entries, ttl);
+    return Object.keys(entries);
+  }
+
+  /**
+   * Reads a response stored by _storeIdempotentResponse
+   * @private
+   * @returns {Object|null|false} The response, null when the key is unused,
+   *   false when some of its chunks were evicted
+   */
+  _getIdempotentResponse(cacheKey) {
+    const count = this.cache.get(cacheKey);
+    if (!count) return null;
+    const keys = Array.from(
+      { length: Number(count) },
+      (_, index) => `${cacheKey}_${index}`
+    );
+    const chunks = this.cache.getAll(keys);
+    if (keys.some((key) => typeof chunks[key] !== "string")) return false;
+    const TYPE_KEY = DB.IDEMPOTENCY_TYPE_KEY;
+    return JSON.parse(keys.map((key) => chunks[key]).join(""), (key, value) => {
+      if (!value || typeof value !== "object") return value;
+      if (value[TYPE_KEY] === "date") return new Date(value.value);
+      if (value[TYPE_KEY] === "object")
+        return Object.fromEntries(value.entries);
+      return value;
+    });
+  }
+
   releaseLocks() {
     try {
       this.lockService.releaseLock();
@@ -160,6 +317,9 @@ class DB {
    * @param {string} config.tableName - Name of the main table.
    * @param {string} [config.historyTableName] - Name of the history table.
    * @param {Object<columnName, type>} config.fields - Fields of the table.
+   * @param {boolean} [config.softDelete] - Mark removed rows in a DELETED_AT column instead of moving them to the history table.
+   * @param {boolean} [config.versioned] - Keep a VERSION column for optimistic concurrency.
+   * @param {Object<string, string>} [config.relations] - Foreign key fields and the table they point to.
    */
   createTable(config) {
     try {
@@ -195,8 +355,11 @@ class DB {
       historyTable
         .getRange(1, 1, 1, sanitizedHeaders.length)
         .setValues([sanitizedHeaders]);
+      this._getHistoryHeaders(historyTable);
 
       this.tables[tableName] = this._normalizeSchemaFields(fields);
+      this._registerTableOptions(tableName, config);
+      this._persistSchema(tableName);
       return {
         status: 200,
         message: "table created successfully",
@@ -267,6 +430,13 @@ class DB {
             [`${entity2TableName.toLocaleLowerCase()}_id`]: "number",
             ...fieldsRelatedToBothEntities,
           },
+          relations: {
+            [`${entity1TableName.toLocaleLowerCase()}_id`]: entity1TableName,
+            [`${entity2TableName.toLocaleLowerCase()}_id`]: entity2TableName,
+          },
+          // A cascade from a soft-delete entity marks the junction rows instead of archiving them
+          ...((this._isSoftDeleteTable(entity1TableName) ||
+            this._isSoftDeleteTable(entity2TableName)) && { softDelete: true }),
         },
         message: `config object for Junction table ${entity1TableName}_${entity2TableName}_RELATION, dont forget to put the tableConfig into schema context`,
       };
@@ -283,30 +453,202 @@ class DB {
   }
 
   /**
-   * Adds a table to the database context
+   * Adds a table to the database context, see registerSchema
    * @param {Object} config - Table configuration object
    * @param {string} config.tableName - Name of the table
    * @param {Object} config.fields - Field definitions for the table
    * @returns {Object} Status of the operation
    */
   putTableIntoDbContext(config) {
-    const { tableName, historyTableName, fields } = config;
+    return this.registerSchema(config);
+  }
 
-    if (this.tables[tableName]) {
-      console.error(
-        `Error when trying to put table in context of the database: Already in context`
-      );
+  /**
+   * Adds a table to the database context by storing its schema definition. If the table is
+   * already in context with the same config nothing changes, a different config needs { replace: true }.
+   * The normalized schema is persisted in the hidden _GASDB_SCHEMA sheet and loaded by the constructor.
+   * @param {Object} config - Table configuration object, as in createTable
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.replace=false] - Replace the schema of a table already in context
+   * @returns {Object} Status of the operation
+   */
+  registerSchema(config, options = {}) {
+    try {
+      const { tableName, fields } = config || {};
+      if (!tableName || !fields) {
+        throw new ValidationError(
+          "Invalid schema: tableName and fields are required"
+        );
+      }
+      const normalizedFields = this._normalizeSchemaFields(fields);
+
+      if (this.tables[tableName]) {
+        // Key order doesn't count: migrations keep the fields in column order
+        const current = this._stableStringify(this._getSchemaEntry(tableName));
+        const incoming = this._stableStringify({
+          fields: normalizedFields,
+          ...this._buildTableOptions(tableName, config),
+        });
+        if (current === incoming) {
+          return {
+            status: 200,
+            message: "Table already in the schema",
+          };
+        }
+        if (!options.replace) {
+          throw new Error(
+            `Table ${tableName} is already in context with a different config, use registerSchema(config, { replace: true }) to update it`
+          );
+        }
+      }
+
+      const replaced = !!this.tables[tableName];
+      this.tables[tableName] = normalizedFields;
+      this._registerTableOptions(tableName, config);
+      this._persistSchema(tableName);
       return {
-        status: 500,
-        error:
-          "Error when trying to put table in context of the database: Already in context",
+        status: 200,
+        message: replaced
+          ? "Table schema replaced"
+          : "Table added to the schema",
       };
-    } else {
-      this.tables[tableName] = this._normalizeSchemaFields(fields);
+    } catch (err) {
+      console.error(`Error in registerSchema: ${err.message}`);
+      return {
+        status: err.message.includes("already in context")
+          ? 409
+          : err instanceof ValidationError
+          ? 400
+          : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Builds a table config from a sheet that already has data. Field types are inferred from
+   * up to sampleRows non-empty cells of each column; columns holding more than one type are
+   * reported in mixedTypes and get their most frequent type.
+   * @example db.putTableIntoDbContext(db.introspect("CUSTOMERS").data.config)
+   * @param {string} [sheetName] - Sheet to read, every sheet of the spreadsheet when omitted
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.sampleRows=100] - Rows read below the headers
+   * @returns {Object} Status and { config, mixedTypes, warnings }, an array of them for every sheet
+   */
+  introspect(sheetName, options = {}) {
+    try {
+      const sampleRows =
+        options.sampleRows === undefined ? 100 : options.sampleRows;
+      if (!Number.isInteger(sampleRows) || sampleRows < 1) {
+        throw new ValidationError(
+          "Invalid sampleRows: expected a positive integer"
+        );
+      }
+
+      if (sheetName === undefined || sheetName === null) {
+        const names = this.spreadsheet
+          .getSheets()
+          .map((sheet) => sheet.getName());
+        const data = names
+          .filter(
+            (name) =>
+              !name.startsWith("_GASDB_") &&
+              // history tables follow their main table
+              !(name.startsWith("DELETED_") && names.includes(name.slice(8)))
+          )
+          .map((name) =>
+            this._introspectSheet(this._getSheet(name), sampleRows)
+          );
+        return {
+          status: 200,
+          data: data,
+          message: `Introspected ${data.length} sheets`,
+        };
+      }
+
+      const sheet = this._getSheet(sheetName);
+      if (!sheet) throw new Error(`Table "${sheetName}" not found`);
+      return {
+        status: 200,
+        data: this._introspectSheet(sheet, sampleRows),
+        message: `Introspected ${sheetName}`,
+      };
+    } catch (err) {
+      console.error(`Error in introspect: ${err.message}`);
+      return {
+        status: err.message.includes("not found")
+          ? 404
+          : err instanceof ValidationError
+          ? 400
+          : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Compares the schema of a table with the header rows of its main and history sheets and
+   * reports missing, extra, reordered and mis-cased columns. With repair, headers are re-cased,
+   * missing columns are added and columns are moved back into schema order; extra columns are
+   * left in place. Writes to a table whose main sheet has drifted are refused.
+   * @param {string} tableName - Name of a table in context
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.repair=false] - Fix the headers
+   * @returns {Object} Status and { ok, sheets: [{ sheetName, ok, missing, extra, reordered, misCased }], repaired }
+   */
+  verifySchema(tableName, options = {}) {
+    let lockAcquired = false;
+    try {
+      if (!this.tables[tableName]) {
+        throw new Error(`Table "${tableName}" not found in the schema context`);
+      }
+      const sheet = this._getSheet(tableName);
+      if (!sheet) throw new Error(`Table "${tableName}" not found`);
+      const historySheet = this._getSheet(this._getHistoryTableName(tableName));
+
+      const targets = [{ sheet, history: false }];
+      if (historySheet) targets.push({ sheet: historySheet, history: true });
+
+      const repaired = [];
+      if (options.repair) {
+        if (!this._acquireLock(tableName, null, "write")) {
+          throw new Error("Could not acquire lock for schema repair");
+        }
+        lockAcquired = true;
+        targets.forEach((target) =>
+          repaired.push(...this._repairSchemaDrift(tableName, target))
+        );
+      }
+
+      const sheets = targets.map(({ sheet, history }) => ({
+        sheetName: sheet.getName(),
+        ...this._compareHeaders(
+          this._getExpectedHeaders(tableName, history),
+          this._getHeaders(sheet),
+          history
+        ),
+      }));
+      const ok = sheets.every((report) => report.ok);
       return {
         status: 200,
-        message: "Table added to the schema",
+        data: { ok, sheets, repaired },
+        message: ok
+          ? `Schema of ${tableName} matches its sheets`
+          : `Schema drift detected in ${sheets
+              .filter((report) => !report.ok)
+              .map((report) => report.sheetName)
+              .join(", ")}`,
+      };
+    } catch (err) {
+      console.error(`Error in verifySchema: ${err.message}`);
+      return {
+        status: err.message.includes("not found") ? 404 : 500,
+        error: err.message,
       };
+    } finally {
+      if (lockAcquired) {
+        this._releaseLock(tableName, null, "write");
+      }
     }
   }
 
@@ -314,60 +656,45 @@ class DB {
    * Create a new record in the specified table or update an existing one based on addUpdatePolicy
    * @param {string} tableName - Name of the sheet/table
    * @param {Object} data - Data to be inserted or updated
-   * @param {string[]} keyOrder - Order of keys to be inserted
+   * @param {string[]} [keyOrder] - Fields to write, defaults to the keys of data and the fields with a default. Values are placed by header name
    * @param {Object} [addUpdatePolicy] - Policy for updating existing records
    * @param {string} addUpdatePolicy.key - The key to search for existing records
    * @param {*} addUpdatePolicy.value - The value to match for the key
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.idempotencyKey] - A repeated key returns the first response instead of inserting again
+   * @param {number} [options.idempotencyTtl] - Seconds the key is kept, defaults to db.idempotencyTtl
    * @returns {Object} Status and ID of the created or updated record
    */
 
-  create(tableName, data, keyOrder, addUpdatePolicy = null) {
+  create(tableName, data, keyOrder, addUpdatePolicy = null, options = {}) {
+    if (options.idempotencyKey !== undefined) {
+      return this._withIdempotency("create", tableName, options, (rest) =>
+        this.create(tableName, data, keyOrder, addUpdatePolicy, rest)
+      );
+    }
     try {
       const sheet = this._getSheet(tableName);
       if (!sheet) {
         throw new Error(`Table "${tableName}" not found.`);
       }
-      // Apply defaults before validation and type checking
-      const defaultsApplication = this._applyDefaults(
+      const headers = this._getHeaders(sheet);
+      keyOrder = this._resolveKeyOrder(
         tableName,
-        data,
-        keyOrder
+        headers,
+        keyOrder,
+        [data],
+        true
       );
-      const dataWithDefaults = defaultsApplication.data;
-      if (defaultsApplication.appliedDefaults.length > 0) {
+      const prepared = this._prepareRecordForCreate(tableName, data, keyOrder);
+      const dataWithDefaults = prepared.data;
+      const typesChecked = prepared.typesChecked;
+      if (prepared.appliedDefaults.length > 0) {
         console.warn("[DEFAULTS] Applied during create:", {
           tableName,
-          applied: defaultsApplication.appliedDefaults,
+          applied: prepared.appliedDefaults,
         });
       }
 
-      const validation = this._validateData(
-        tableName,
-        dataWithDefaults,
-        keyOrder,
-        `for table "${tableName}"`
-      );
-      if (!validation.isValid) {
-        throw new Error(
-          `Missing required fields: ${validation.missingKeys.join(
-            ", "
-          )} for table "${tableName}"`
-        );
-      }
-
-      let typesChecked = false;
-      if (this.tables[tableName]) {
-        for (const [key, val] of Object.entries(dataWithDefaults)) {
-          const expectedType = this._getExpectedType(tableName, key);
-          if (expectedType && !this._checkType(val, expectedType)) {
-            throw new Error(
-              `Type mismatch for field '${key}'. Expected ${expectedType}, got ${typeof val}`
-            );
-          }
-        }
-        typesChecked = true;
-      }
-
       let existingRowIndex = -1;
       let id;
 
@@ -376,7 +703,8 @@ class DB {
           "data has matched on the additional update policy:  " +
             dataWithDefaults[addUpdatePolicy.key]
         );
-        const columnIndex = keyOrder.indexOf(addUpdatePolicy.key) + 3; // +3 for id, date, and 1-based index
+        const columnIndex =
+          headers.indexOf(addUpdatePolicy.key.toUpperCase()) + 1; // 1-based index
         if (columnIndex > 2) {
           const column = sheet.getRange(2, columnIndex, sheet.getLastRow() - 1);
           const searchResult = column
@@ -413,17 +741,14 @@ class DB {
         }
       } else {
         const id = this._getNextId(sheet);
-        const row = [
+        const row = this._buildRow(
+          tableName,
           id,
           now,
-          ...keyOrder.map((key) => {
-            const value = dataWithDefaults[key];
-            if (value === undefined) return "";
-            const expectedType = this._getExpectedType(tableName, key);
-            if (expectedType === "boolean") return value.toString();
-            return value;
-          }),
-        ];
+          dataWithDefaults,
+          keyOrder,
+          headers
+        );
         // Sanitize row to prevent CSV injection
         const sanitizedRow = this._sanitizeRow(row);
         sheet.appendRow(sanitizedRow);
@@ -438,14 +763,138 @@ class DB {
     } catch (err) {
       console.error(`Error in create: ${err.message}`);
       return {
-        status:
-          err.message.includes(`Type mismatch`) ||
-          err.message.includes(`Missing required fields`) ||
-          err.message.includes(`Incomplete keyOrder`)
-            ? 400
-            : 500,
+        status: this._getWriteErrorStatus(err, [
+          "Type mismatch",
+          "Missing required fields",
+          "Incomplete keyOrder",
+          "Invalid keyOrder",
+        ]),
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Creates many records at once: every record is validated first, then all rows are written
+   * with a single setValues call under one lock, using a contiguous block of IDs
+   * @param {string} tableName - Name of the sheet/table
+   * @param {Object[]} records - Records to insert
+   * @param {string[]} [keyOrder] - Fields to write, defaults to the keys of the records and the fields with a default
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.onError="abort"] - 'abort' writes nothing if any record is invalid, 'skip' writes the valid ones
+   * @param {string} [options.idempotencyKey] - A repeated key returns the first report instead of inserting again
+   * @param {number} [options.idempotencyTtl] - Seconds the key is kept, defaults to db.idempotencyTtl
+   * @returns {Object} Status and a per-record report: { created: [{ index, id }], failed: [{ index, error }] }
+   */
+  createMany(tableName, records, keyOrder, options = {}) {
+    if (options.idempotencyKey !== undefined) {
+      return this._withIdempotency("createMany", tableName, options, (rest) =>
+        this.createMany(tableName, records, keyOrder, rest)
+      );
+    }
+    let lockAcquired = false;
+    try {
+      const sheet = this._getSheet(tableName);
+      if (!sheet) {
+        throw new Error(`Table "${tableName}" not found.`);
+      }
+      if (!Array.isArray(records)) {
+        throw new ValidationError(
+          "Invalid records: expected an array of objects"
+        );
+      }
+      const onError = options.onError || "abort";
+      if (!["abort", "skip"].includes(onError)) {
+        throw new ValidationError(
+          "Invalid onError: expected 'abort' or 'skip'"
+        );
+      }
+      const headers = this._getHeaders(sheet);
+      keyOrder = this._resolveKeyOrder(
+        tableName,
+        headers,
+        keyOrder,
+        records,
+        true
+      );
+
+      const prepared = [];
+      const failed = [];
+      records.forEach((record, index) => {
+        try {
+          prepared.push({
+            index,
+            data: this._prepareRecordForCreate(tableName, record, keyOrder)
+              .data,
+          });
+        } catch (err) {
+          // An incomplete keyOrder affects every record, so it is not reported per record
+          if (err.message.includes("Incomplete keyOrder")) throw err;
+          failed.push({ index, error: err.message });
+        }
+      });
+
+      if (failed.length > 0 && onError === "abort") {
+        return {
+          status: 400,
+          error: `${failed.length} of ${records.length} records are invalid, nothing was created`,
+          data: { created: [], failed },
+        };
+      }
+      if (prepared.length === 0) {
+        return {
+          status: 200,
+          data: { created: [], failed },
+          message: `No records created in "${tableName}"`,
+        };
+      }
+
+      if (!this._acquireLock(tableName, null, "write")) {
+        throw new Error("Could not acquire lock for createMany operation");
+      }
+      lockAcquired = true;
+
+      const firstId = this._getNextId(sheet);
+      const now = new Date();
+      const created = prepared.map((entry, offset) => ({
+        index: entry.index,
+        id: firstId + offset,
+      }));
+      const rows = prepared.map((entry, offset) =>
+        this._sanitizeRow(
+          this._buildRow(
+            tableName,
+            firstId + offset,
+            now,
+            entry.data,
+            keyOrder,
+            headers
+          )
+        )
+      );
+
+      sheet
+        .getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+        .setValues(rows);
+      this._clearCache(tableName);
+
+      return {
+        status: 200,
+        data: { created, failed },
+        message: `Created ${created.length} records in "${tableName}"${
+          failed.length > 0 ? `, skipped ${failed.length} invalid records` : ""
+        }`,
+      };
+    } catch (err) {
+      console.error(`Error in createMany: ${err.message}`);
+      return {
+        status: this._getWriteErrorStatus(err, ["Incomplete keyOrder"]),
         error: err.message,
       };
+    } finally {
+      if (lockAcquired) {
+        this._releaseLock(tableName, null, "write");
+      }
     }
   }
 
@@ -453,10 +902,22 @@ class DB {
    * Creates a record in a junction table for many-to-many relationships
    * @param {string} junctionTableName - Name of the junction table
    * @param {Object} data - Data containing the foreign keys and additional fields
-   * @param {string[]} keyOrder - Order of keys to be inserted
+   * @param {string[]} [keyOrder] - Fields to write, defaults to the keys of data and the fields with a default
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.idempotencyKey] - A repeated key returns the first response instead of failing as a duplicate relationship
+   * @param {number} [options.idempotencyTtl] - Seconds the key is kept, defaults to db.idempotencyTtl
    * @returns {Object} Status and ID of the created junction record
    */
-  createJunctionRecord(junctionTableName, data, keyOrder) {
+  createJunctionRecord(junctionTableName, data, keyOrder, options = {}) {
+    if (options.idempotencyKey !== undefined) {
+      return this._withIdempotency(
+        "createJunctionRecord",
+        junctionTableName,
+        options,
+        (rest) =>
+          this.createJunctionRecord(junctionTableName, data, keyOrder, rest)
+      );
+    }
     try {
       // Validate required parameters
       if (!data || Object.keys(data).length === 0) {
@@ -488,6 +949,18 @@ class DB {
         );
       }
 
+      const enrichedData = {
+        created_at: new Date(),
+        ...data,
+      };
+      keyOrder = this._resolveKeyOrder(
+        junctionTableName,
+        headers,
+        keyOrder,
+        [enrichedData],
+        true
+      );
+
       // Get foreign key field names and their indices
       let entityTableNames = keyOrder.filter((item) => item.endsWith("_id"));
       console.log("entity table names no cleaning:", entityTableNames);
@@ -555,24 +1028,19 @@ class DB {
           `Duplicate relationship found for keys: ${fksIds.join(", ")}`
         );
       }
-      // Prepare final data with timestamp
-      const enrichedData = {
-        created_at: new Date(),
-        ...data,
-      };
-
       return this.create(junctionTableName, enrichedData, keyOrder);
     } catch (err) {
       console.error("Error in createJunctionRecord:", err.stack);
-      const isValidationError =
-        err.message.includes("Data parameter is required") ||
-        err.message.includes("must have exactly two") ||
-        err.message.includes("not found in headers") ||
-        err.message.includes("Type mismatch") ||
-        err.message.includes("Missing required fields") ||
-        err.message.includes("Incomplete keyOrder");
-      return {
-        status: isValidationError ? 400 : 500,
+      return {
+        status: this._getWriteErrorStatus(err, [
+          "Data parameter is required",
+          "must have exactly two",
+          "not found in headers",
+          "Type mismatch",
+          "Missing required fields",
+          "Incomplete keyOrder",
+          "Invalid keyOrder",
+        ]),
         error: {
           message: err.message,
           stackTrace: err.stack,
@@ -677,6 +1145,9 @@ class DB {
           totalJunctionRecords: junctionResult.data.length,
           totalTargetRecords: targetRecords.data.length,
           missingTargets: targetsIds.length - combinedData.length,
+          ...(junctionResult.metadata && {
+            pagination: junctionResult.metadata,
+          }),
         },
       };
     } catch (err) {
@@ -706,6 +1177,15 @@ class DB {
       if (!sheet) {
         throw new Error(`Table "${tableName}" not found.`);
       }
+      const headers = this._getHeaders(sheet);
+      keyOrder = this._resolveKeyOrder(
+        tableName,
+        headers,
+        keyOrder,
+        [data],
+        true
+      );
+      console.log("[KEY ORDER] Resolved keyOrder:", keyOrder);
 
       // Apply defaults then validate
       const defaultsApplication = this._applyDefaults(
@@ -753,7 +1233,14 @@ class DB {
             actualType: typeof val,
           });
 
-          if (expectedType && !this._checkType(val, expectedType)) {
+          if (
+            expectedType &&
+            !this._checkType(
+              val,
+              expectedType,
+              this._getFieldDefinition(tableName, key)
+            )
+          ) {
             throw new Error(
               `Type mismatch for field '${key}'. Expected ${expectedType}, got ${typeof val}`
             );
@@ -781,7 +1268,8 @@ class DB {
           }
         );
 
-        const columnIndex = keyOrder.indexOf(addUpdatePolicy.key) + 3; // +3 for id, date, and 1-based index
+        const columnIndex =
+          headers.indexOf(addUpdatePolicy.key.toUpperCase()) + 1; // 1-based index
         console.log("[UPDATE POLICY] Calculated column index:", columnIndex);
 
         if (columnIndex > 2) {
@@ -837,25 +1325,14 @@ class DB {
         const id = this._getNextId(sheet);
         console.log("[CREATE] Generated new ID:", id);
 
-        const row = [
+        const row = this._buildRow(
+          tableName,
           id,
           now,
-          ...keyOrder.map((key) => {
-            const value = dataWithDefaults[key];
-            console.log("[CREATE] Processing field:", {
-              key,
-              value,
-              type: typeof value,
-              isUndefined: value === undefined,
-              isBoolean: this._getExpectedType(tableName, key) === "boolean",
-            });
-
-            if (value === undefined) return "";
-            if (this._getExpectedType(tableName, key) === "boolean")
-              return value.toString();
-            return value;
-          }),
-        ];
+          dataWithDefaults,
+          keyOrder,
+          headers
+        );
 
         console.log("[CREATE] Final row data to append:", row);
         // Sanitize row to prevent CSV injection
@@ -887,12 +1364,12 @@ class DB {
         data,
       });
       return {
-        status:
-          err.message.includes(`Type mismatch`) ||
-          err.message.includes(`Missing required fields`) ||
-          err.message.includes(`Incomplete keyOrder`)
-            ? 400
-            : 500,
+        status: this._getWriteErrorStatus(err, [
+          "Type mismatch",
+          "Missing required fields",
+          "Incomplete keyOrder",
+          "Invalid keyOrder",
+        ]),
         error: err.message,
       };
     }
@@ -902,9 +1379,12 @@ class DB {
    * @param {string} tableName - Name of the sheet/table
    * @param {number} id - ID of the record to update
    * @param {Object} data - New data for the record
-   * @param {string[]} keyOrder - Order of keys to be updated
+   * @param {string[]} [keyOrder] - Fields to write, defaults to the keys of data. Other columns keep their value
    * @param typesChecked - Flag indicating if the types of the data are already checked
    * @param addUpdatePolicy
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.expectedVersion] - On a versioned table, the version the caller read; a stale write gets a 409
+   * @param {boolean} [options.withDeleted] - Also update a soft-deleted record, otherwise it gets a 404
    * @returns {Object} Status and updated data
    */
   update(
@@ -913,7 +1393,8 @@ class DB {
     data,
     keyOrder,
     typesChecked = false,
-    addUpdatePolicy = null
+    addUpdatePolicy = null,
+    options = {}
   ) {
     try {
       if (!this._acquireLock(tableName, id, "write")) {
@@ -924,7 +1405,16 @@ class DB {
         if (!sheet) throw new Error(`Table ${tableName} not found`);
 
         let rowIndex = this._findRowById(sheet, id);
-        if (rowIndex === -1) throw new Error(`Record with ID ${id} not found`);
+        if (
+          rowIndex === -1 ||
+          (!options.withDeleted &&
+            this._isRowSoftDeleted(tableName, sheet, rowIndex))
+        ) {
+          throw new Error(`Record with ID ${id} not found`);
+        }
+
+        const headers = this._getHeaders(sheet);
+        keyOrder = this._resolveKeyOrder(tableName, headers, keyOrder, [data]);
 
         // Apply defaults before validation
         const defaultsApplication = this._applyDefaults(
@@ -959,7 +1449,14 @@ class DB {
           if (this.tables[tableName]) {
             for (const [key, val] of Object.entries(dataWithDefaults)) {
               const expectedType = this._getExpectedType(tableName, key);
-              if (expectedType && !this._checkType(val, expectedType)) {
+              if (
+                expectedType &&
+                !this._checkType(
+                  val,
+                  expectedType,
+                  this._getFieldDefinition(tableName, key)
+                )
+              ) {
                 throw new Error(
                   `Type mismatch for field '${key}'. Expected ${expectedType}, got ${typeof val}, value: ${val}`
                 );
@@ -973,7 +1470,8 @@ class DB {
             "data has matched on the additional update policy:  " +
               dataWithDefaults[addUpdatePolicy.key]
           );
-          const columnIndex = keyOrder.indexOf(addUpdatePolicy.key) + 3; // +3 for id, date, and 1-based index
+          const columnIndex =
+            headers.indexOf(addUpdatePolicy.key.toUpperCase()) + 1; // 1-based index
           if (columnIndex > 2) {
             const column = sheet.getRange(
               2,
@@ -993,17 +1491,27 @@ class DB {
         }
 
         const now = new Date();
-        const updatedRow = [
+        const conflict = this._checkVersion(
+          tableName,
+          sheet,
+          rowIndex,
+          options.expectedVersion
+        );
+        if (conflict) return conflict;
+
+        // Columns left out of keyOrder keep their current value
+        const currentRow = sheet
+          .getRange(rowIndex, 1, 1, headers.length)
+          .getValues()[0];
+        const updatedRow = this._buildRow(
+          tableName,
           id,
           now,
-          ...keyOrder.map((key) => {
-            const value = dataWithDefaults[key];
-            if (value === undefined) return "";
-            const expectedType = this._getExpectedType(tableName, key);
-            if (expectedType === "boolean") return value.toString();
-            return value;
-          }),
-        ];
+          dataWithDefaults,
+          keyOrder,
+          headers,
+          currentRow
+        );
         // Sanitize row to prevent CSV injection
         const sanitizedRow = this._sanitizeRow(updatedRow);
         sheet
@@ -1012,10 +1520,14 @@ class DB {
 
         this._clearCache(tableName);
         console.log(updatedRow);
+        const result = { id: id, date: now, ...dataWithDefaults }; // includes defaults used
+        if (this._isVersionedTable(tableName)) {
+          result.version = updatedRow[headers.indexOf("VERSION")];
+        }
         return {
           status: 200,
           id: id,
-          data: { id: id, date: now, ...dataWithDefaults }, // includes defaults used
+          data: result,
           action: "updated",
         };
       } finally {
@@ -1026,13 +1538,212 @@ class DB {
       return {
         status: err.message.includes(`Record with ID`)
           ? 404
-          : err.message.includes(`Type mismatch`) ||
-            err.message.includes(`Missing required fields`) ||
-            err.message.includes(`Incomplete keyOrder`)
-          ? 400
-          : 500,
+          : this._getWriteErrorStatus(err, [
+              "Type mismatch",
+              "Missing required fields",
+              "Incomplete keyOrder",
+              "Invalid keyOrder",
+              "Invalid expectedVersion",
+            ]),
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Updates only the given fields of a record, every other cell keeps its current value.
+   * Unlike update, no keyOrder is needed: fields are matched to columns by header.
+   * @param {string} tableName - Name of the sheet/table
+   * @param {number|string} id - ID of the record to patch
+   * @param {Object} partialData - Fields to change and their new values
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.expectedVersion] - On a versioned table, the version the caller read; a stale write gets a 409
+   * @param {boolean} [options.withDeleted] - Also patch a soft-deleted record, otherwise it gets a 404
+   * @returns {Object} Status, ID and the merged record
+   */
+  patch(tableName, id, partialData, options = {}) {
+    try {
+      if (!this._acquireLock(tableName, id, "write")) {
+        throw new Error("Could not acquire write lock");
+      }
+      try {
+        const sheet = this._getSheet(tableName);
+        if (!sheet) throw new Error(`Table ${tableName} not found`);
+
+        const rowIndex = this._findRowById(sheet, id);
+        if (
+          rowIndex === -1 ||
+          (!options.withDeleted &&
+            this._isRowSoftDeleted(tableName, sheet, rowIndex))
+        ) {
+          throw new Error(`Record with ID ${id} not found`);
+        }
+
+        const headers = this._getHeaders(sheet);
+        const patchColumns = this._resolvePatchColumns(
+          tableName,
+          headers,
+          partialData
+        );
+        const conflict = this._checkVersion(
+          tableName,
+          sheet,
+          rowIndex,
+          options.expectedVersion
+        );
+        if (conflict) return conflict;
+
+        const row = sheet
+          .getRange(rowIndex, 1, 1, headers.length)
+          .getValues()[0];
+        const now = new Date();
+        row[1] = now;
+        for (const column of patchColumns) {
+          row[column.index] = column.value;
+        }
+        const versionIndex = this._bumpVersion(tableName, headers, row);
+
+        // Only DATE, the patched columns and VERSION are written, other cells keep their formulas
+        const columns = [1, ...patchColumns.map((c) => c.index)];
+        if (versionIndex !== -1) columns.push(versionIndex);
+        this._writeColumns(sheet, rowIndex, [row], columns);
+
+        this._clearCache(tableName);
+        const record = headers.reduce((acc, header, index) => {
+          acc[header.toLowerCase()] = row[index];
+          return acc;
+        }, {});
+        return {
+          status: 200,
+          id: id,
+          data: this._deserializeRecords(tableName, [record])[0],
+          action: "updated",
+        };
+      } finally {
+        this._releaseLock(tableName, id, "write");
+      }
+    } catch (err) {
+      console.error(`Error in patch: ${err.message}`);
+      return {
+        status: err.message.includes(`Record with ID`)
+          ? 404
+          : this._getWriteErrorStatus(err, [
+              "Invalid patch",
+              "Invalid expectedVersion",
+              "Type mismatch",
+            ]),
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Updates every record matching a where clause with the same patch.
+   * The table is read once, the patch is applied in memory and only the affected rows
+   * (only the DATE, patched and VERSION columns) are written back, one call per block of consecutive rows.
+   * @param {string} tableName - Name of the sheet/table
+   * @param {Object} where - Filter selecting the records, same syntax as getAll
+   * @param {Object} patch - Fields to change and their new values
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.withDeleted] - Also update soft-deleted records, they are skipped otherwise
+   * @returns {Object} Status, count and IDs of the updated records
+   */
+  updateMany(tableName, where, patch, options = {}) {
+    let lockAcquired = false;
+    try {
+      const sheet = this._getSheet(tableName);
+      if (!sheet) throw new Error(`Table ${tableName} not found`);
+
+      const matchesWhere = this._compileWhere(tableName, where);
+      const excludeDeleted =
+        !options.withDeleted && this._isSoftDeleteTable(tableName);
+
+      const headers = this._getHeaders(sheet);
+      const patchColumns = this._resolvePatchColumns(tableName, headers, patch);
+
+      if (!this._acquireLock(tableName, null, "write")) {
+        throw new Error("Could not acquire write lock");
+      }
+      lockAcquired = true;
+
+      const lastRow = sheet.getLastRow();
+      if (lastRow <= 1) {
+        return {
+          status: 200,
+          count: 0,
+          ids: [],
+          message: `No data in the table "${tableName}"`,
+        };
+      }
+
+      const rows = sheet
+        .getRange(2, 1, lastRow - 1, headers.length)
+        .getValues();
+      const now = new Date();
+      const updatedIds = [];
+      const updatedRowIndexes = [];
+      rows.forEach((row, i) => {
+        const record = headers.reduce((acc, header, index) => {
+          acc[header.toLowerCase()] = row[index];
+          return acc;
+        }, {});
+        if (excludeDeleted && this._isSoftDeleted(record)) return;
+        if (!matchesWhere(record)) return;
+
+        row[1] = now;
+        for (const column of patchColumns) {
+          row[column.index] = column.value;
+        }
+        this._bumpVersion(tableName, headers, row);
+        updatedIds.push(row[0]);
+        updatedRowIndexes.push(i);
+      });
+
+      // Write consecutive updated rows together, limited to the columns that changed
+      const versionIndex = this._isVersionedTable(tableName)
+        ? headers.indexOf("VERSION")
+        : -1;
+      const columns = [1, ...patchColumns.map((c) => c.index)];
+      if (versionIndex !== -1) columns.push(versionIndex);
+      let blockStart = 0;
+      for (let i = 1; i <= updatedRowIndexes.length; i++) {
+        if (
+          i < updatedRowIndexes.length &&
+          updatedRowIndexes[i] === updatedRowIndexes[i - 1] + 1
+        ) {
+          continue;
+        }
+        const block = updatedRowIndexes
+          .slice(blockStart, i)
+          .map((rowIndex) => rows[rowIndex]);
+        this._writeColumns(
+          sheet,
+          updatedRowIndexes[blockStart] + 2,
+          block,
+          columns
+        );
+        blockStart = i;
+      }
+
+      if (updatedIds.length > 0) {
+        this._clearCache(tableName);
+      }
+      return {
+        status: 200,
+        count: updatedIds.length,
+        ids: updatedIds,
+        message: `Updated ${updatedIds.length} records in "${tableName}"`,
+      };
+    } catch (err) {
+      console.error(`Error in updateMany: ${err.message}`);
+      return {
+        status: this._getWriteErrorStatus(err, ["Type mismatch"]),
         error: err.message,
       };
+    } finally {
+      if (lockAcquired) {
+        this._releaseLock(tableName, null, "write");
+      }
     }
   }
 
@@ -1059,7 +1770,15 @@ class DB {
 
       let rowIndex = this._findRowById(sheet, id);
       console.log("Found row index:", rowIndex);
-      if (rowIndex === -1) throw new Error(`Record with ID ${id} not found`);
+      if (
+        rowIndex === -1 ||
+        this._isRowSoftDeleted(tableName, sheet, rowIndex)
+      ) {
+        throw new Error(`Record with ID ${id} not found`);
+      }
+
+      const headers = this._getHeaders(sheet);
+      keyOrder = this._resolveKeyOrder(tableName, headers, keyOrder, [data]);
 
       // Apply defaults and validate
       const defaultsApplicationUW = this._applyDefaults(
@@ -1106,7 +1825,14 @@ class DB {
             actualType: typeof val,
           });
 
-          if (expectedType && !this._checkTypeWithLogs(val, expectedType)) {
+          if (
+            expectedType &&
+            !this._checkTypeWithLogs(
+              val,
+              expectedType,
+              this._getFieldDefinition(tableName, key)
+            )
+          ) {
             throw new Error(
               `Type mismatch for field '${key}'. Expected ${expectedType}, got ${typeof val}, value: ${val}`
             );
@@ -1116,11 +1842,26 @@ class DB {
 
       // Build updated row data
       const now = new Date();
+      const currentRow = sheet
+        .getRange(rowIndex, 1, 1, headers.length)
+        .getValues()[0];
       const updatedRow = [id, now];
 
       console.log("Building row data with keyOrder:", keyOrder);
 
-      keyOrder.forEach((key) => {
+      // Values are placed by header, columns left out of keyOrder keep their current value
+      headers.slice(2).forEach((header, i) => {
+        const key = keyOrder.find(
+          (k) => k.toLowerCase() === header.toLowerCase()
+        );
+        if (header === "VERSION" && this._isVersionedTable(tableName)) {
+          updatedRow.push((Number(currentRow[i + 2]) || 0) + 1);
+          return;
+        }
+        if (key === undefined) {
+          updatedRow.push(currentRow[i + 2]);
+          return;
+        }
         const value = dataWithDefaultsUW[key];
         console.log("Processing field:", {
           key,
@@ -1136,7 +1877,7 @@ class DB {
         } else if (value === null) {
           updatedRow.push("");
         } else {
-          updatedRow.push(value);
+          updatedRow.push(this._serializeValue(tableName, key, value));
         }
       });
 
@@ -1170,11 +1911,12 @@ class DB {
       return {
         status: err.message.includes(`Record with ID`)
           ? 404
-          : err.message.includes(`Type mismatch`) ||
-            err.message.includes(`Missing required fields`) ||
-            err.message.includes(`Incomplete keyOrder`)
-          ? 400
-          : 500,
+          : this._getWriteErrorStatus(err, [
+              "Type mismatch",
+              "Missing required fields",
+              "Incomplete keyOrder",
+              "Invalid keyOrder",
+            ]),
         error: err.message,
       };
     }
@@ -1183,9 +1925,13 @@ class DB {
    * Read a record from the specified table
    * @param {string} tableName - Name of the sheet/table
    * @param {number} id - ID of the record to read
+   * @param {Object} [options={}] - Read options
+   * @param {string[]} [options.select] - Fields to return (alias: options.fields), `id` is always included
+   * @param {Object} [options.include] - Related tables to load into the record, same syntax as getAll
+   * @param {boolean} [options.withDeleted] - Also return a soft-deleted record
    * @returns {Object} Status and data of the read record
    */
-  read(tableName, id) {
+  read(tableName, id, options = {}) {
     try {
       if (!this._acquireLock(tableName, id, "read")) {
         throw new Error("Could not acquire read lock");
@@ -1196,21 +1942,23 @@ class DB {
         if (!sheet) throw new Error(`Table "${tableName}" not found`);
 
         const rowIndex = this._findRowById(sheet, id);
-        if (rowIndex === -1) throw new Error(`Record with ID ${id} not found`);
-
-        const row = sheet
-          .getRange(rowIndex, 1, 1, sheet.getLastColumn())
-          .getValues()[0];
-
-        let headers_caps = this._getHeaders(sheet);
-
-        const headers = [];
-        headers_caps.forEach((s) => headers.push(s.toLowerCase()));
+        if (
+          rowIndex === -1 ||
+          (!options.withDeleted &&
+            this._isRowSoftDeleted(tableName, sheet, rowIndex))
+        ) {
+          throw new Error(`Record with ID ${id} not found`);
+        }
 
-        const record = headers.reduce((acc, header, index) => {
-          acc[header] = row[index];
-          return acc;
-        }, {});
+        const record = this._readRecordAtRow(
+          tableName,
+          sheet,
+          rowIndex,
+          options
+        );
+        if (options.include) {
+          this._attachIncludes(tableName, [record], options.include, options);
+        }
 
         return {
           status: 200,
@@ -1222,19 +1970,100 @@ class DB {
     } catch (err) {
       console.error(`Error in read: ${err.message}`);
       return {
-        status: err.message.includes(`Record with ID`) ? 404 : 500,
+        status: err.message.includes(`Record with ID`)
+          ? 404
+          : err.message.includes("Invalid select") ||
+            err.message.includes("Invalid include")
+          ? 400
+          : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Finds the first record matching every criterion, e.g. { email, tenant }
+   * @param {string} tableName - Name of the sheet/table
+   * @param {Object} criteria - Map of field to expected value (equality)
+   * @param {Object} [options={}] - Read options
+   * @param {string[]} [options.select] - Fields to return (alias: options.fields), `id` is always included
+   * @param {boolean} [options.withDeleted] - Also match soft-deleted records
+   * @returns {Object} Status and data of the found record, 404 if nothing matches
+   */
+  findOne(tableName, criteria, options = {}) {
+    try {
+      if (
+        !criteria ||
+        typeof criteria !== "object" ||
+        Object.keys(criteria).length === 0
+      ) {
+        throw new ValidationError(
+          "Invalid criteria: expected a non-empty object"
+        );
+      }
+      if (!this._acquireLock(tableName, null, "read")) {
+        throw new Error("Could not acquire read lock");
+      }
+
+      try {
+        const sheet = this._getSheet(tableName);
+        if (!sheet) throw new Error(`Table "${tableName}" not found`);
+
+        const rowIndex = this._findRowByCriteria(
+          tableName,
+          sheet,
+          criteria,
+          !!options.withDeleted
+        );
+        if (rowIndex === -1) {
+          throw new Error(
+            `Record matching ${JSON.stringify(criteria)} not found`
+          );
+        }
+
+        return {
+          status: 200,
+          data: this._readRecordAtRow(tableName, sheet, rowIndex, options),
+        };
+      } finally {
+        this._releaseLock(tableName, null, "read");
+      }
+    } catch (err) {
+      console.error(`Error in findOne: ${err.message}`);
+      return {
+        status: err.message.includes("Record matching")
+          ? 404
+          : err instanceof ValidationError ||
+            err.message.includes("Type mismatch")
+          ? 400
+          : 500,
         error: err.message,
       };
     }
   }
 
+  /**
+   * Finds the first record whose field equals the given value
+   * @param {string} tableName - Name of the sheet/table
+   * @param {string} field - Field to look up
+   * @param {*} value - Value to match
+   * @param {Object} [options={}] - Read options, same as findOne
+   * @returns {Object} Status and data of the found record, 404 if nothing matches
+   */
+  findBy(tableName, field, value, options = {}) {
+    return this.findOne(tableName, { [field]: value }, options);
+  }
+
   /**
    * Reads a list of records by their IDs
    * @param {string} tableName - Name of the table to read from
    * @param {number[]} ids - Array of record IDs to retrieve
+   * @param {Object} [options={}] - Read options
+   * @param {string[]} [options.select] - Fields to return (alias: options.fields), `id` is always included
+   * @param {boolean} [options.withDeleted] - Also return soft-deleted records
    * @returns {Object} Status and array of found records, with list of any IDs not found
    */
-  readIdList(tableName, ids) {
+  readIdList(tableName, ids, options = {}) {
     try {
       console.log("[READ LIST] Starting batch read operation:", {
         tableName,
@@ -1276,19 +2105,39 @@ class DB {
 
       const idsSet = new Set(ids);
       const idsFound = new Map(ids.map((id) => [id, false]));
-      const data = table
-        .getRange(2, 1, table.getLastRow() - 1, table.getLastColumn())
-        .getValues();
+
+      const projection = this._getProjectionOption(options);
+      const excludeDeleted =
+        !options.withDeleted && this._isSoftDeleteTable(tableName);
+      const columns = projection
+        ? this._resolveProjection(
+            tableName,
+            headers,
+            projection,
+            excludeDeleted ? ["deleted_at"] : []
+          )
+        : null;
+      const data = columns
+        ? this._readColumns(table, 2, table.getLastRow() - 1, columns)
+        : table
+            .getRange(2, 1, table.getLastRow() - 1, table.getLastColumn())
+            .getValues();
 
       const records = [];
 
       for (let i = 0; i < data.length; i++) {
         if (idsSet.has(data[i][0])) {
-          const record = headers.reduce((acc, header, index) => {
-            acc[header.toLowerCase()] = data[i][index];
-            return acc;
-          }, {});
-          records.push(record);
+          const record = columns
+            ? this._columnsToRecord(columns, data[i])
+            : headers.reduce((acc, header, index) => {
+                acc[header.toLowerCase()] = data[i][index];
+                return acc;
+              }, {});
+          if (excludeDeleted && this._isSoftDeleted(record)) continue;
+          this._deserializeRecords(tableName, [record]);
+          records.push(
+            projection ? this._projectRecord(record, projection) : record
+          );
           idsFound.set(data[i][0], true);
         }
       }
@@ -1316,7 +2165,7 @@ class DB {
     } catch (err) {
       console.error("[READ LIST] Error: ", err.stack);
       return {
-        status: 500,
+        status: err.message.includes("Invalid select") ? 400 : 500,
         error: {
           message: err.message,
           stackTrace: err.stack,
@@ -1330,17 +2179,39 @@ class DB {
    * @param {string} tableName - Name of the sheet/table
    * @param {string} historyTableName - Name of the history sheet/table
    * @param {number} id - ID of the record to delete
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.expectedVersion] - On a versioned table, the version the caller read; a stale delete gets a 409
    * @returns {Object} Status of the operation
    */
-  remove(tableName, historyTableName, id) {
+  remove(tableName, historyTableName, id, options = {}) {
     try {
       if (!this._acquireLock(tableName, id, "write")) {
         throw new Error("Could not acquire write lock");
       }
       try {
         const sheet = this._getSheet(tableName);
-        const historySheet = this._getSheet(historyTableName);
         if (!sheet) throw new Error(`Table "${tableName}" not found`);
+        if (options.expectedVersion !== undefined) {
+          const rowIndex = this._findRowById(sheet, id);
+          if (rowIndex === -1)
+            throw new Error(`Record with ID ${id} not found`);
+          const conflict = this._checkVersion(
+            tableName,
+            sheet,
+            rowIndex,
+            options.expectedVersion
+          );
+          if (conflict) return conflict;
+        }
+        if (this._isSoftDeleteTable(tableName)) {
+          this._softDeleteRecord(tableName, sheet, id);
+          return {
+            status: 200,
+            message: "Record marked as deleted succesfully",
+          };
+        }
+
+        const historySheet = this._getSheet(historyTableName);
         if (!historySheet)
           throw new Error(`History Table "${tableName}" not found`);
 
@@ -1354,11 +2225,14 @@ class DB {
 
         const historyId = this._getNextId(historySheet);
         // Sanitize row to prevent CSV injection
-        const historyRow = this._sanitizeRow([
-          historyId,
-          new Date(),
-          ...deletedRow.slice(2),
-        ]);
+        const historyRow = this._sanitizeRow(
+          this._buildHistoryRow(
+            this._getHistoryHeaders(historySheet),
+            historyId,
+            this._getHeaders(sheet),
+            deletedRow
+          )
+        );
         historySheet.appendRow(historyRow);
 
         this._clearCache(tableName);
@@ -1374,7 +2248,11 @@ class DB {
     } catch (err) {
       console.error(`Error in remove: ${err.message}`);
       return {
-        status: err.message.includes(`Record with ID`) ? 404 : 500,
+        status: err.message.includes(`Record with ID`)
+          ? 404
+          : err.message.includes("Invalid expectedVersion")
+          ? 400
+          : 500,
         error: err.message,
       };
     }
@@ -1385,9 +2263,11 @@ class DB {
    * @param {string} tableName - Name of the table
    * @param {string} historyTableName - Name of the history table
    * @param {number} id - ID of the record to remove
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.expectedVersion] - On a versioned table, the version the caller read; a stale delete gets a 409
    * @returns {Object} Status of the cascade delete operation
    */
-  removeWithCascade(tableName, historyTableName, id) {
+  removeWithCascade(tableName, historyTableName, id, options = {}) {
     try {
       const sheet = this._getSheet(tableName);
       const historySheet = this._getSheet(historyTableName);
@@ -1395,13 +2275,35 @@ class DB {
       if (!historyTableName) throw new Error(`History table name is required`); //see if this breaks the test suite
       if (!id) throw new Error(`ID is required`); //see if this breaks the test suite
       if (!sheet) throw new Error(`Table "${tableName}" not found`);
+      if (options.expectedVersion !== undefined) {
+        const versionRow = this._findRowById(sheet, id);
+        if (versionRow === -1)
+          throw new Error(`Record with ID ${id} not found`);
+        const conflict = this._checkVersion(
+          tableName,
+          sheet,
+          versionRow,
+          options.expectedVersion
+        );
+        if (conflict) return conflict;
+      }
+      // Shared by the record and its junction rows so restore can tell them apart
+      const deletedAt = new Date();
+      if (this._isSoftDeleteTable(tableName)) {
+        this._softDeleteRecord(tableName, sheet, id, deletedAt);
+        this._handleCascadeDelete(tableName, id, deletedAt);
+        return {
+          status: 200,
+          message: "Record marked as deleted succesfully",
+        };
+      }
       if (!historySheet)
         throw new Error(`History Table "${historyTableName}" not found`);
 
       const rowIndex = this._findRowById(sheet, id);
       if (rowIndex === -1) throw new Error(`Record with ID ${id} not found`);
 
-      this._handleCascadeDelete(tableName, id); // aca no se si esto debe ser un response o un try catch
+      this._handleCascadeDelete(tableName, id, deletedAt); // aca no se si esto debe ser un response o un try catch
 
       const deletedRow = sheet
         .getRange(rowIndex, 1, 1, sheet.getLastColumn())
@@ -1410,11 +2312,16 @@ class DB {
 
       const historyId = this._getNextId(historySheet);
       // Sanitize row to prevent CSV injection
-      const historyRow = this._sanitizeRow([
-        historyId,
-        new Date(),
-        ...deletedRow.slice(2),
-      ]);
+      const historyRow = this._sanitizeRow(
+        this._buildHistoryRow(
+          this._getHistoryHeaders(historySheet),
+          historyId,
+          this._getHeaders(sheet),
+          deletedRow,
+          "",
+          deletedAt
+        )
+      );
       historySheet.appendRow(historyRow);
 
       this._clearCache(tableName);
@@ -1427,7 +2334,11 @@ class DB {
     } catch (err) {
       console.error(`Error in remove: ${err.stack}`);
       return {
-        status: err.message.includes(`Record with ID`) ? 404 : 500,
+        status: err.message.includes(`Record with ID`)
+          ? 404
+          : err.message.includes("Invalid expectedVersion")
+          ? 400
+          : 500,
         error: {
           message: err.message,
           stackTrace: err.stack,
@@ -1437,33 +2348,353 @@ class DB {
   }
 
   /**
-   * Validates the integrity of a junction table
-   * @param {string} junctionTableName - Name of the junction table to check
-   * @param {string} junctionHistoryTableName - Name of the history table
-   * @returns {Object} Status and count of invalid records removed
+   * Removes many records at once, archiving them in the history table with a single setValues
+   * and deleting them in blocks of consecutive rows
+   * @param {string} tableName - Name of the table
+   * @param {string} historyTableName - Name of the history table, unused for soft-delete tables
+   * @param {Array<number|string>|Object} idsOrWhere - IDs to remove, or a where clause with the same syntax as getAll
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.cascade=false] - Also remove related junction records, like removeWithCascade
+   * @returns {Object} Status, removed IDs and requested IDs that were not found
    */
-  checkTableIntegrity(junctionTableName, junctionHistoryTableName) {
+  removeMany(tableName, historyTableName, idsOrWhere, options = {}) {
     try {
-      const table = this._getSheet(junctionTableName);
-      const historyTable = this._getSheet(junctionHistoryTableName);
-
-      if (!table || !historyTable) {
-        console.error("[SHEETS] Sheet reference check failed:", {
-          mainTableExists: !!table,
-          historyTableExists: !!historyTable,
-        });
-        throw new Error(
-          !table
-            ? `Table '${tableName}' not found when trying to delete related junction records`
-            : `Table '${junctionHistoryTableName}' not found when trying to delete related junction records`
+      if (options.expectedVersion !== undefined) {
+        throw new ValidationError(
+          "Invalid expectedVersion: removeMany removes several records, use remove or removeWithCascade to check a version"
         );
       }
+      const sheet = this._getSheet(tableName);
+      const historySheet = this._getSheet(historyTableName);
+      const softDelete = this._isSoftDeleteTable(tableName);
+      if (!sheet) throw new Error(`Table "${tableName}" not found`);
+      if (!historySheet && !softDelete)
+        throw new Error(`History Table "${historyTableName}" not found`);
+
+      const ids = Array.isArray(idsOrWhere)
+        ? new Set(idsOrWhere.map((id) => String(id)))
+        : null;
+      const matchesWhere = ids
+        ? null
+        : this._compileWhere(tableName, idsOrWhere);
+
+      const removed = [];
+      if (!this._acquireLock(tableName, null, "write")) {
+        throw new Error("Could not acquire write lock");
+      }
+      try {
+        const lastRow = sheet.getLastRow();
+        const headers = this._getHeaders(sheet);
+        const rows =
+          lastRow > 1
+            ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+            : [];
+
+        const matchedRowIndexes = [];
+        rows.forEach((row, i) => {
+          const record = headers.reduce((acc, header, index) => {
+            acc[header.toLowerCase()] = row[index];
+            return acc;
+          }, {});
+          if (softDelete && this._isSoftDeleted(record)) return;
+          const isMatch = ids ? ids.has(String(row[0])) : matchesWhere(record);
+          if (isMatch) {
+            matchedRowIndexes.push(i);
+            removed.push(row[0]);
+          }
+        });
+
+        // Junction rows go first, a failing cascade leaves the records in place
+        const deletedAt = new Date();
+        if (options.cascade && removed.length > 0) {
+          this._cascadeDeleteMany(tableName, removed, deletedAt);
+        }
+
+        if (matchedRowIndexes.length > 0 && softDelete) {
+          this._markRowsDeleted(
+            sheet,
+            headers,
+            matchedRowIndexes.map((rowIndex) => rowIndex + 2),
+            deletedAt
+          );
+          this._clearCache(tableName);
+        } else if (matchedRowIndexes.length > 0) {
+          const historyId = this._getNextId(historySheet);
+          const historyHeaders = this._getHistoryHeaders(historySheet);
+          // Sanitize rows to prevent CSV injection
+          const historyRows = matchedRowIndexes.map((rowIndex, offset) =>
+            this._sanitizeRow(
+              this._buildHistoryRow(
+                historyHeaders,
+                historyId + offset,
+                headers,
+                rows[rowIndex],
+                "",
+                deletedAt
+              )
+            )
+          );
+          historySheet
+            .getRange(
+              historySheet.getLastRow() + 1,
+              1,
+              historyRows.length,
+              historyRows[0].length
+            )
+            .setValues(historyRows);
+
+          // Delete from the bottom up so the remaining row numbers stay valid
+          let blockEnd = matchedRowIndexes.length - 1;
+          for (let i = matchedRowIndexes.length - 2; i >= -1; i--) {
+            if (
+              i >= 0 &&
+              matchedRowIndexes[i] === matchedRowIndexes[i + 1] - 1
+            ) {
+              continue;
+            }
+            sheet.deleteRows(matchedRowIndexes[i + 1] + 2, blockEnd - i);
+            blockEnd = i;
+          }
+
+          this._clearCache(tableName);
+          this._clearCache(historyTableName);
+        }
+      } finally {
+        this._releaseLock(tableName, null, "write");
+      }
+
+      const removedKeys = new Set(removed.map((id) => String(id)));
+      const notFound = ids
+        ? idsOrWhere.filter((id) => !removedKeys.has(String(id)))
+        : [];
+      return {
+        status: 200,
+        removed: removed,
+        notFound: notFound,
+        message: `Removed ${removed.length} records from "${tableName}"${
+          notFound.length > 0 ? `, ${notFound.length} IDs not found` : ""
+        }`,
+      };
+    } catch (err) {
+      console.error(`Error in removeMany: ${err.message}`);
+      return {
+        status:
+          err.message.includes("Invalid where clause") ||
+          err.message.includes("Invalid expectedVersion")
+            ? 400
+            : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Brings a removed record back from the history table with its original ID and creation date,
+   * along with the junction rows that removeWithCascade archived with it.
+   * On a soft-delete table the DELETED_AT mark is cleared instead, and so is the mark of the
+   * soft-delete junction rows deleted in the same cascade.
+   * @param {string} tableName - Name of the table
+   * @param {string} historyTableName - Name of the history table, unused for soft-delete tables
+   * @param {number} originalId - ID the record had before it was removed
+   * @returns {Object} Status, ID and number of restored junction records
+   */
+  restore(tableName, historyTableName, originalId) {
+    try {
+      if (!this._acquireLock(tableName, originalId, "write")) {
+        throw new Error("Could not acquire write lock");
+      }
+      try {
+        const sheet = this._getSheet(tableName);
+        if (!sheet) throw new Error(`Table "${tableName}" not found`);
+
+        const entries = [];
+        let softDeletedRow = -1;
+        let deletedAt;
+        if (this._isSoftDeleteTable(tableName)) {
+          softDeletedRow = this._findRowById(sheet, originalId);
+          if (
+            softDeletedRow === -1 ||
+            !this._isRowSoftDeleted(tableName, sheet, softDeletedRow)
+          ) {
+            throw new Error(
+              `Deleted record with ID ${originalId} not found in "${tableName}"`
+            );
+          }
+          deletedAt = sheet
+            .getRange(
+              softDeletedRow,
+              this._getHeaders(sheet).indexOf("DELETED_AT") + 1
+            )
+            .getValue();
+        } else {
+          const historySheet = this._getSheet(historyTableName);
+          if (!historySheet)
+            throw new Error(`History Table "${historyTableName}" not found`);
+          // If the ID was removed more than once, the latest removal wins
+          const entry = this._findHistoryEntries(
+            historySheet,
+            (record) => String(record.original_id) === String(originalId)
+          ).pop();
+          if (!entry) {
+            throw new Error(
+              `Deleted record with ID ${originalId} not found in "${historyTableName}"`
+            );
+          }
+          entries.push({ sheet, historySheet, ...entry });
+          deletedAt = entry.record.date;
+        }
+
+        // Junction rows archived by the cascade delete of this record, or marked with
+        // the same deletion date in soft-delete junction tables
+        const cascadeFrom = `${tableName}:${originalId}`;
+        const fkHeader = `${tableName.toLowerCase()}_id`.toUpperCase();
+        const deletedTime = new Date(deletedAt).getTime();
+        const markedRows = [];
+        for (const junctionSheet of this.spreadsheet.getSheets()) {
+          const junctionTableName = junctionSheet.getName();
+          if (
+            junctionTableName.includes("DELETED") ||
+            !junctionTableName.includes("RELATION")
+          ) {
+            continue;
+          }
+          const junctionHeaders = this._getHeaders(junctionSheet);
+          const fkIndex = junctionHeaders.indexOf(fkHeader);
+          const deletedAtIndex = junctionHeaders.indexOf("DELETED_AT");
+          if (
+            this._isSoftDeleteTable(junctionTableName) &&
+            fkIndex !== -1 &&
+            deletedAtIndex !== -1 &&
+            junctionSheet.getLastRow() > 1
+          ) {
+            junctionSheet
+              .getRange(
+                2,
+                1,
+                junctionSheet.getLastRow() - 1,
+                junctionHeaders.length
+              )
+              .getValues()
+              .forEach((row, i) => {
+                if (
+                  String(row[fkIndex]) === String(originalId) &&
+                  row[deletedAtIndex] !== "" &&
+                  new Date(row[deletedAtIndex]).getTime() === deletedTime
+                ) {
+                  markedRows.push({
+                    sheet: junctionSheet,
+                    rowIndex: i + 2,
+                    column: deletedAtIndex + 1,
+                  });
+                }
+              });
+          }
+          const junctionHistorySheet = this._getSheet(
+            `DELETED_${junctionTableName}`
+          );
+          if (!junctionHistorySheet) continue;
+          this._findHistoryEntries(
+            junctionHistorySheet,
+            (record) => record.cascade_from === cascadeFrom
+          ).forEach((entry) =>
+            entries.push({
+              sheet: junctionSheet,
+              historySheet: junctionHistorySheet,
+              ...entry,
+            })
+          );
+        }
+
+        for (const entry of entries) {
+          if (this._findRowById(entry.sheet, entry.record.original_id) !== -1) {
+            throw new Error(
+              `Cannot restore: ID ${
+                entry.record.original_id
+              } has been reused in "${entry.sheet.getName()}"`
+            );
+          }
+        }
+
+        if (softDeletedRow !== -1) {
+          const column = this._getHeaders(sheet).indexOf("DELETED_AT") + 1;
+          sheet.getRange(softDeletedRow, column).setValue("");
+        }
+        markedRows.forEach((marked) =>
+          marked.sheet.getRange(marked.rowIndex, marked.column).setValue("")
+        );
+        for (const entry of entries) {
+          this._insertRowInIdOrder(
+            entry.sheet,
+            this._buildRestoredRow(this._getHeaders(entry.sheet), entry.record)
+          );
+        }
+        // Delete history rows from the bottom up so the remaining row numbers stay valid
+        entries
+          .slice()
+          .sort((a, b) => b.rowIndex - a.rowIndex)
+          .forEach((entry) => entry.historySheet.deleteRow(entry.rowIndex));
+
+        const touchedSheets = new Set([sheet]);
+        entries.forEach((entry) => {
+          touchedSheets.add(entry.sheet);
+          touchedSheets.add(entry.historySheet);
+        });
+        markedRows.forEach((marked) => touchedSheets.add(marked.sheet));
+        touchedSheets.forEach((touched) => this._clearCache(touched.getName()));
+
+        const restoredRelations =
+          entries.filter((entry) => entry.sheet !== sheet).length +
+          markedRows.length;
+        return {
+          status: 200,
+          id: originalId,
+          restoredRelations: restoredRelations,
+          message: `Record restored succesfully with ${restoredRelations} related junction records`,
+        };
+      } finally {
+        this._releaseLock(tableName, originalId, "write");
+      }
+    } catch (err) {
+      console.error(`Error in restore: ${err.message}`);
+      return {
+        status: err.message.includes("Deleted record with ID")
+          ? 404
+          : err.message.includes("has been reused")
+          ? 409
+          : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Validates the integrity of a junction table
+   * @param {string} junctionTableName - Name of the junction table to check
+   * @param {string} junctionHistoryTableName - Name of the history table
+   * @returns {Object} Status and count of invalid records removed
+   */
+  checkTableIntegrity(junctionTableName, junctionHistoryTableName) {
+    try {
+      const table = this._getSheet(junctionTableName);
+      const historyTable = this._getSheet(junctionHistoryTableName);
+
+      if (!table || !historyTable) {
+        console.error("[SHEETS] Sheet reference check failed:", {
+          mainTableExists: !!table,
+          historyTableExists: !!historyTable,
+        });
+        throw new Error(
+          !table
+            ? `Table '${tableName}' not found when trying to delete related junction records`
+            : `Table '${junctionHistoryTableName}' not found when trying to delete related junction records`
+        );
+      }
+
+      const headers = this._getHeaders(table);
+      const fkColumns = headers.filter((h) => h.toLowerCase().endsWith("_id"));
 
-      const headers = this._getHeaders(table);
-      const fkColumns = headers.filter((h) => h.toLowerCase().endsWith("_id"));
-
       if (fkColumns.length !== 2) {
-        throw new Error("Invalid junction table structure");
+        throw new ValidationError("Invalid junction table structure");
       }
 
       if (table.getLastRow() === 1)
@@ -1480,6 +2711,7 @@ class DB {
       const rowsToRemove = [];
 
       const historyId = this._getNextId(historyTable);
+      const historyHeaders = this._getHistoryHeaders(historyTable);
 
       for (let i = 0; i < data.length; i++) {
         let isValid = true;
@@ -1495,11 +2727,14 @@ class DB {
         }
         if (!isValid) {
           invalidRows.unshift(i + 2);
-          rowsToRemove.push([
-            historyId + invalidRows.length,
-            new Date(),
-            ...data[i].slice(2),
-          ]);
+          rowsToRemove.push(
+            this._buildHistoryRow(
+              historyHeaders,
+              historyId + invalidRows.length - 1,
+              headers,
+              data[i]
+            )
+          );
         }
       }
 
@@ -1522,7 +2757,7 @@ class DB {
           this._sanitizeRow(row)
         );
         const historyRange = historyTable.getRange(
-          historyTable.getLastRow() == 1 ? 2 : historyTable.getLastRow(),
+          historyTable.getLastRow() + 1,
           1,
           sanitizedRowsToRemove.length,
           sanitizedRowsToRemove[0].length
@@ -1564,13 +2799,15 @@ class DB {
    * @param {string} junctionHistoryTableName - Name of the history table
    * @param {number} fkIndex - Index of the foreign key column
    * @param {number} id - ID to match in the foreign key column
+   * @param {string} [cascadeFrom=""] - "TABLE:id" of the deleted parent, stored in the history so restore() can bring the rows back
    * @returns {Object} Status and count of deleted records
    */
   deleteRelatedJunctionRecords(
     tableName,
     junctionHistoryTableName,
     fkIndex,
-    id
+    id,
+    cascadeFrom = ""
   ) {
     console.log("\n[DELETE_JUNCTION] Starting deletion process:", {
       tableName,
@@ -1630,6 +2867,8 @@ class DB {
 
         // Prepare for deletion
         const historyId = this._getNextId(historyTable);
+        const headers = this._getHeaders(table);
+        const historyHeaders = this._getHistoryHeaders(historyTable);
         console.log("[HISTORY] Generated new history ID:", historyId);
 
         // Find records to remove
@@ -1640,11 +2879,15 @@ class DB {
         for (let i = 0; i < idCol.length; i++) {
           if (idCol[i][0] === id) {
             idxToRemove.unshift(i + 2);
-            rowsToRemove.push([
-              historyId + idxToRemove.length,
-              new Date(),
-              ...fullData[i].slice(2),
-            ]);
+            rowsToRemove.push(
+              this._buildHistoryRow(
+                historyHeaders,
+                historyId + idxToRemove.length - 1,
+                headers,
+                fullData[i],
+                cascadeFrom
+              )
+            );
             console.log(
               `[MATCH] Found matching record at row ${i + 2}, ${fullData[i]}`
             );
@@ -1678,7 +2921,7 @@ class DB {
             this._sanitizeRow(row)
           );
           const historyRange = historyTable.getRange(
-            historyTable.getLastRow() == 1 ? 2 : historyTable.getLastRow(),
+            historyTable.getLastRow() + 1,
             1,
             sanitizedRowsToRemove.length,
             sanitizedRowsToRemove[0].length
@@ -1730,7 +2973,15 @@ class DB {
   /**
    * Get all records from the specified table
    * @param {string} tableName - Name of the sheet/table
-   * @param {Object} options - Options for pagination and sorting
+   * @param {Object} options - Options for filtering, pagination and sorting
+   * @param {Object} [options.where] - Filter applied before sorting and pagination,
+   *   e.g. { status: "open", amount: { gte: 10 }, or: [{ ... }, { ... }] }
+   * @param {string[]} [options.select] - Fields to return (alias: options.fields), `id` is always included.
+   *   On a cache miss only the needed columns are read from the sheet.
+   * @param {Object} [options.include] - Related tables to load into each record, each one is read once, e.g.
+   *   { LINE_ITEMS: { foreignKey: "orders_id" }, TAGS: { through: "ORDERS_TAGS_RELATION" } }
+   * @param {number} [options.includeDepth] - Max nesting of include, defaults to this.maxIncludeDepth
+   * @param {boolean} [options.withDeleted] - Also return soft-deleted records
    * @param useCache - Flag that tells the db to use cached records
    * @returns {Object} Status and array of records
    */
@@ -1743,6 +2994,11 @@ class DB {
       const cacheKey = `${tableName}_all`;
       let data;
 
+      const matchesWhere = options.where
+        ? this._compileWhere(tableName, options.where)
+        : null;
+      const projection = this._getProjectionOption(options);
+
       if (useCache) {
         data = this._getCachedData(cacheKey);
       }
@@ -1758,227 +3014,784 @@ class DB {
           };
         }
 
-        data = sheet
-          .getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
-          .getValues()
-          .map((row) =>
-            headers.reduce((acc, header, index) => {
-              header = header.toLowerCase();
-              acc[header] = row[index];
-              return acc;
-            }, {})
+        if (projection) {
+          // Partial reads skip the cache, the columns needed to filter and sort are read too
+          const columns = this._resolveProjection(
+            tableName,
+            headers,
+            projection,
+            [
+              ...this._collectWhereFields(options.where),
+              ...this._buildSortSpec(tableName, options).spec.map(
+                (entry) => entry.field
+              ),
+              "deleted_at",
+            ]
           );
-        if (!(data.length > 1000)) {
-          this._setCachedData(cacheKey, data);
+          data = this._readColumns(
+            sheet,
+            2,
+            sheet.getLastRow() - 1,
+            columns
+          ).map((row) => this._columnsToRecord(columns, row));
+          this._deserializeRecords(tableName, data);
+        } else {
+          data = sheet
+            .getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+            .getValues()
+            .map((row) =>
+              headers.reduce((acc, header, index) => {
+                header = header.toLowerCase();
+                acc[header] = row[index];
+                return acc;
+              }, {})
+            );
+          this._deserializeRecords(tableName, data);
+          if (!(data.length > 1000)) {
+            this._setCachedData(cacheKey, data);
+          }
         }
       }
 
+      data = this._excludeSoftDeleted(tableName, data, options);
+
+      if (matchesWhere) {
+        data = data.filter(matchesWhere);
+        message = `Data filtered successfully (${data.length} matching records)`;
+      }
+
       if (options.sortBy) {
-        const sortField = options.sortBy;
-        const sortOrder = options.sortOrder === "desc" ? -1 : 1;
-        let fieldType = this.tables[tableName][sortField];
-        if (fieldType && fieldType.hasOwnProperty("type"))
-          fieldType = fieldType.type;
-        console.log("fieldTypes", this.tables[tableName]);
-        if (fieldType) {
-          data.sort((a, b) => {
-            // console.log(a);
-            let compareOperator;
-            switch (fieldType) {
-              case "number":
-                compareOperator = a[sortField] - b[sortField];
-                break;
-              case "string":
-                compareOperator = a[sortField].localeCompare(b[sortField]);
-                break;
-              case "boolean":
-                if (a[sortField] && !b[sortField]) {
-                  compareOperator = -1;
-                } else if (!a[sortField] && b[sortField]) {
-                  compareOperator = 1;
-                } else {
-                  compareOperator = 0;
-                }
-                break;
-              case "date":
-                compareOperator =
-                  a[sortField].getTime() - b[sortField].getTime();
-                break;
-              default:
-                throw new Error(`Unsupported sort field type: ${fieldType}`);
-            }
-            return compareOperator * sortOrder;
-          });
-          message = `Data sorted Succesfully by '${sortField}'`;
-        } else {
-          message = `Warning: Sorting not applied. Field '${sortField}' not found in table schema.`;
-        }
+        const sorting = this._sortRecords(
+          tableName,
+          data,
+          options,
+          "Data sorted Succesfully"
+        );
+        data = sorting.data;
+        message = sorting.message;
       }
 
-      if (options.page && options.pageSize) {
-        const page = parseInt(options.page);
-        const pageSize = parseInt(options.pageSize);
-        if (isNaN(page) || isNaN(pageSize) || page < 1 || pageSize < 1) {
-          throw new Error("Invalid pagination parameters");
-        }
-        const startIndex = (page - 1) * pageSize;
-        data = data.slice(startIndex, startIndex + pageSize);
-        message += ` (Page ${page}, ${pageSize} items per page)`;
+      const pagination = this._paginate(tableName, data, options);
+      if (pagination) {
+        data = pagination.data;
+        message += ` (${pagination.message})`;
+      }
+
+      if (projection) {
+        data = data.map((record) => this._projectRecord(record, projection));
+      }
+
+      if (options.include) {
+        this._attachIncludes(tableName, data, options.include, {
+          ...options,
+          useCache,
+        });
       }
 
       return {
         status: 200,
         data: data,
         message: message,
+        ...(pagination && { metadata: pagination.metadata }),
       };
     } catch (err) {
       console.error(`Error in getAll: ${err.message}`);
       return {
-        status: 500,
+        status:
+          err.message.includes("Invalid where clause") ||
+          err.message.includes("Invalid select") ||
+          err.message.includes("Invalid sortBy") ||
+          err.message.includes("Invalid cursor") ||
+          err.message.includes("Invalid include")
+            ? 400
+            : 500,
         error: err.message,
       };
     }
   }
 
-  getRelatedRecordsWithFilter(
-    foreignKey,
-    tableName,
-    field,
-    fieldIndex,
-    options = {},
-    useCache = false
-  ) {
+  /**
+   * Computes aggregates (count, sum, avg, min, max) over a table, optionally grouped
+   * @example db.aggregate("ORDERS", { where: { paid: true }, groupBy: ["status"], metrics: { total: ["sum", "amount"], n: ["count"] } })
+   * @param {string} tableName - Name of the sheet/table
+   * @param {Object} options - Aggregation options
+   * @param {Object} [options.where] - Filter applied before aggregating, same syntax as getAll
+   * @param {string[]} [options.groupBy] - Fields to group by
+   * @param {Object<string, Array>} options.metrics - Map of result key to [operation, field?]
+   * @param {boolean} [useCache=true] - Whether to use cached records
+   * @returns {Object} Status and data: one object per group when grouping, a single object otherwise
+   */
+  aggregate(tableName, options = {}, useCache = true) {
     try {
-      let message = "Related Data retrieved successfully";
-      const sheet = this._getSheet(tableName);
-
-      if (!(typeof foreignKey === "number"))
-        throw new Error(`Foreign key (${foreignKey}) is not a number!`);
-
-      if (!sheet) {
-        throw new Error(`Table "${tableName}" not found`);
-      } else {
-        console.log(`Table found: ${sheet.getName()}`);
-      }
-
-      if (!this.tables[tableName][field]) {
-        throw new Error(`Query field (${field}) does NOT exists in the table.`);
+      const { where, metrics } = options;
+      if (!this.tables[tableName]) {
+        throw new ValidationError(
+          `Invalid aggregation: table "${tableName}" is not in the schema context`
+        );
       }
-
-      const cacheKey = `${tableName}_FK_${foreignKey}_all`;
-      let relatedData;
-
-      if (useCache) {
-        relatedData = this._getCachedData(cacheKey).filter((record) => {
-          return record[field] === foreignKey;
-        });
+      if (
+        !metrics ||
+        typeof metrics !== "object" ||
+        Object.keys(metrics).length === 0
+      ) {
+        throw new ValidationError(
+          "Invalid aggregation: 'metrics' must be a non-empty object"
+        );
       }
 
-      if (!relatedData) {
-        const headers = this._getHeaders(sheet);
-
-        if (sheet.getLastRow() === 1) {
-          return {
-            status: 200,
-            data: [],
-            message: `No Data in the Table "${tableName}"`,
-          };
-        }
-        console.log("queried column: ", headers[fieldIndex]);
-        relatedData = sheet
-          .getRange(2, 1, sheet.getLastRow(), sheet.getLastColumn())
-          .getValues()
-          .filter((row) => {
-            // console.log("row analizada")
-            return row[fieldIndex] === foreignKey;
-          })
-          .map((row) => {
-            return headers.reduce((acc, header, index) => {
-              header = header.toLowerCase();
-              acc[header] = row[index];
-              return acc;
-            }, {});
-          });
-        if (relatedData.length <= 1000) {
-          this._setCachedData(cacheKey, relatedData);
+      const groupBy = options.groupBy
+        ? [].concat(options.groupBy).map((field) => String(field).toLowerCase())
+        : [];
+      for (const field of groupBy) {
+        if (!this._getColumnType(tableName, field)) {
+          throw new ValidationError(
+            `Invalid aggregation: groupBy field '${field}' does not exist in table "${tableName}"`
+          );
         }
       }
+      const compiledMetrics = Object.entries(metrics).map(([key, spec]) =>
+        this._compileMetric(tableName, key, spec)
+      );
 
-      if (options.sortBy) {
-        const sortField = options.sortBy;
-        const sortOrder = options.sortOrder === "desc" ? -1 : 1;
-        let fieldType = this.tables[tableName][sortField];
-        if (fieldType && fieldType.hasOwnProperty("type"))
-          fieldType = fieldType.type;
-        console.log("fieldTypes", this.tables[tableName]);
-
-        if (fieldType) {
-          relatedData.sort((a, b) => {
-            let compareOperator;
-
-            switch (fieldType) {
-              case "number":
-                compareOperator = a[sortField] - b[sortField];
-                break;
-              case "string":
-                compareOperator = a[sortField].localeCompare(b[sortField]);
-                break;
-              case "boolean":
-                if (a[sortField] && !b[sortField]) {
-                  compareOperator = -1;
-                } else if (!a[sortField] && b[sortField]) {
-                  compareOperator = 1;
-                } else {
-                  compareOperator = 0;
-                }
-                break;
-              case "date":
-                compareOperator =
-                  a[sortField].getTime() - b[sortField].getTime();
-                break;
-              default:
-                throw new Error(`Unsupported sort field type: ${fieldType}`);
-            }
-
-            return compareOperator * sortOrder;
+      const neededFields = [
+        ...groupBy,
+        ...compiledMetrics.filter((m) => m.field).map((m) => m.field),
+      ];
+      const result = this.getAll(
+        tableName,
+        { where, select: neededFields.length > 0 ? neededFields : ["id"] },
+        useCache
+      );
+      if (result.status !== 200) return result;
+
+      const groups = new Map();
+      for (const record of result.data) {
+        const groupValues = groupBy.map((field) =>
+          this._normalizeForCompare(
+            record[field],
+            this._getColumnType(tableName, field)
+          )
+        );
+        const groupKey = JSON.stringify(groupValues);
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, {
+            values: groupValues,
+            accumulators: compiledMetrics.map(() => ({
+              count: 0,
+              sum: 0,
+              min: null,
+              max: null,
+            })),
           });
-          message = `Related Data Sorted Successfully by '${sortField}'`;
-        } else {
-          message = `Warning: Sorting not applied. Field '${sortField}' not found in table schema.`;
         }
+        const group = groups.get(groupKey);
+        compiledMetrics.forEach((metric, index) => {
+          const acc = group.accumulators[index];
+          if (!metric.field) {
+            acc.count++;
+            return;
+          }
+          const value = this._normalizeForCompare(
+            record[metric.field],
+            metric.type
+          );
+          if (value === null) return;
+          acc.count++;
+          if (typeof value === "number") acc.sum += value;
+          if (acc.min === null || value < acc.min) acc.min = value;
+          if (acc.max === null || value > acc.max) acc.max = value;
+        });
       }
 
-      if (options.page && options.pageSize) {
-        const page = parseInt(options.page);
-        const pageSize = parseInt(options.pageSize);
-        if (isNaN(page) || isNaN(pageSize) || page < 1 || pageSize < 1) {
-          throw new Error("Invalid pagination parameters");
-        }
+      const rows = Array.from(groups.values()).map((group) => {
+        const row = {};
+        groupBy.forEach((field, index) => {
+          row[field] = this._denormalizeCompareValue(
+            group.values[index],
+            this._getColumnType(tableName, field)
+          );
+        });
+        compiledMetrics.forEach((metric, index) => {
+          const acc = group.accumulators[index];
+          switch (metric.operation) {
+            case "count":
+              row[metric.key] = acc.count;
+              break;
+            case "sum":
+              row[metric.key] = acc.sum;
+              break;
+            case "avg":
+              row[metric.key] = acc.count > 0 ? acc.sum / acc.count : null;
+              break;
+            case "min":
+            case "max":
+              row[metric.key] = this._denormalizeCompareValue(
+                acc[metric.operation],
+                metric.type
+              );
+              break;
+          }
+        });
+        return row;
+      });
 
-        const startIndex = (page - 1) * pageSize;
-        relatedData = relatedData.slice(startIndex, startIndex + pageSize);
-        message += `(Page ${page}, ${pageSize} items per page)`;
+      if (groupBy.length === 0) {
+        // No rows matched: still answer with zero counts and empty extremes
+        const totals =
+          rows[0] ||
+          compiledMetrics.reduce((acc, metric) => {
+            acc[metric.key] = ["count", "sum"].includes(metric.operation)
+              ? 0
+              : null;
+            return acc;
+          }, {});
+        return {
+          status: 200,
+          data: totals,
+          message: `Aggregated ${result.data.length} records`,
+        };
       }
 
       return {
         status: 200,
-        data: relatedData,
-        message: message,
+        data: rows,
+        message: `Aggregated ${result.data.length} records into ${rows.length} groups`,
       };
     } catch (err) {
-      console.error(`Error in fetchRelatedRecords: ${err.message}`);
+      console.error(`Error in aggregate: ${err.message}`);
       return {
-        status: 500,
+        status: err instanceof ValidationError ? 400 : 500,
         error: err.message,
       };
     }
   }
 
-  getRelatedRecordsWithLogs(
-    foreignKey,
-    tableName,
-    field,
-    fieldIndex,
+  /**
+   * Lists the distinct values of a column with the number of records holding each one
+   * @param {string} tableName - Name of the sheet/table
+   * @param {string} field - Field to inspect
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.where] - Filter applied first, same syntax as getAll
+   * @param {string} [options.bucket="day"] - For date fields: 'day', 'month' or 'year'
+   * @param {string} [options.sortBy="count"] - 'count' (most frequent first) or 'value'
+   * @param {boolean} [useCache=true] - Whether to use the cached records of getAll
+   * @returns {Object} Status and array of { value, count }
+   */
+  distinct(tableName, field, options = {}, useCache = true) {
+    const result = this.facets(
+      tableName,
+      [{ field, bucket: options.bucket }],
+      options,
+      useCache
+    );
+    if (result.status !== 200) return result;
+
+    const values = result.data[String(field).toLowerCase()];
+    return {
+      status: 200,
+      data: values,
+      message: `Found ${values.length} distinct values for '${field}'`,
+    };
+  }
+
+  /**
+   * Counts the records per distinct value for several columns at once, e.g. to fill filter dropdowns
+   * @param {string} tableName - Name of the sheet/table
+   * @param {Array<string|{field: string, bucket: string}>} fields - Fields to inspect, date fields accept a bucket
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.where] - Filter applied first, same syntax as getAll
+   * @param {string} [options.sortBy="count"] - 'count' (most frequent first) or 'value'
+   * @param {boolean} [useCache=true] - Whether to use the cached records of getAll
+   * @returns {Object} Status and data mapping each field to an array of { value, count }
+   */
+  facets(tableName, fields, options = {}, useCache = true) {
+    try {
+      if (!Array.isArray(fields) || fields.length === 0) {
+        throw new ValidationError(
+          "Invalid facets: expected a non-empty array of fields"
+        );
+      }
+      const sortBy = options.sortBy || "count";
+      if (!["count", "value"].includes(sortBy)) {
+        throw new ValidationError(
+          "Invalid facets: sortBy must be 'count' or 'value'"
+        );
+      }
+
+      const facetSpecs = fields.map((entry) => {
+        const spec = typeof entry === "string" ? { field: entry } : entry;
+        const field = String(spec.field).toLowerCase();
+        const type = this._getColumnType(tableName, field);
+        if (this.tables[tableName] && !type) {
+          throw new ValidationError(
+            `Invalid facets: field '${field}' does not exist in table "${tableName}"`
+          );
+        }
+        const bucket = spec.bucket || "day";
+        if (!["day", "month", "year"].includes(bucket)) {
+          throw new ValidationError(
+            `Invalid facets: bucket for '${field}' must be 'day', 'month' or 'year'`
+          );
+        }
+        return { field, type, bucket };
+      });
+
+      const result = this.getAll(
+        tableName,
+        {
+          where: options.where,
+          select: facetSpecs.map((spec) => spec.field),
+        },
+        useCache
+      );
+      if (result.status !== 200) return result;
+
+      const data = {};
+      for (const spec of facetSpecs) {
+        const counts = new Map();
+        for (const record of result.data) {
+          const value = this._normalizeFacetValue(
+            record[spec.field],
+            spec.type,
+            spec.bucket
+          );
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        data[spec.field] = Array.from(counts.entries())
+          .map(([value, count]) => ({ value, count }))
+          .sort(
+            (a, b) =>
+              (sortBy === "count" ? b.count - a.count : 0) ||
+              this._compareFacetValues(a.value, b.value)
+          );
+      }
+
+      return {
+        status: 200,
+        data: data,
+        message: `Computed facets for ${facetSpecs.length} fields over ${result.data.length} records`,
+      };
+    } catch (err) {
+      console.error(`Error in facets: ${err.message}`);
+      return {
+        status: err instanceof ValidationError ? 400 : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Full-text search over the string columns of a table, returns ranked results with highlights
+   * @param {string} tableName - Name of the sheet/table
+   * @param {string} query - Text to search for
+   * @param {Object} [options={}] - Search options
+   * @param {string[]} [options.fields] - String fields to search, defaults to every string field of the schema
+   * @param {boolean} [options.fuzzy=false] - Also match words within a small edit distance of the query terms
+   * @param {boolean} [options.matchAll=true] - Require every query term to match, otherwise any term is enough
+   * @param {number} [options.limit] - Maximum number of results before pagination
+   * @param {number} [options.page] - Page number, used with pageSize
+   * @param {string|null} [options.cursor] - Cursor from a previous page's metadata, null for the first page
+   * @param {number} [options.pageSize] - Results per page
+   * @param {boolean} [useCache=true] - Whether fuzzy searches may use cached records
+   * @returns {Object} Status and array of { record, score, highlights } sorted by score
+   */
+  search(tableName, query, options = {}, useCache = true) {
+    try {
+      const sheet = this._getSheet(tableName);
+      if (!sheet) throw new Error(`Table "${tableName}" not found`);
+      if (!this.tables[tableName]) {
+        throw new ValidationError(
+          `Invalid search: table "${tableName}" is not in the schema context`
+        );
+      }
+
+      const stringFields = Object.keys(this.tables[tableName]).filter(
+        (field) => this._getColumnType(tableName, field) === "string"
+      );
+      const fields = (options.fields || stringFields).map((field) =>
+        String(field).toLowerCase()
+      );
+      for (const field of fields) {
+        if (!stringFields.includes(field)) {
+          throw new ValidationError(
+            `Invalid search: '${field}' is not a string field of table "${tableName}"`
+          );
+        }
+      }
+
+      const terms = this._tokenize(query || "").map((token) => token.term);
+      if (terms.length === 0) {
+        throw new ValidationError(
+          "Invalid search: the query has no searchable terms"
+        );
+      }
+      if (fields.length === 0 || sheet.getLastRow() <= 1) {
+        return {
+          status: 200,
+          data: [],
+          message: `No searchable data in the table "${tableName}"`,
+        };
+      }
+
+      const records = this._excludeSoftDeleted(
+        tableName,
+        options.fuzzy
+          ? this._getAllForSearch(tableName, useCache)
+          : this._findSearchCandidates(sheet, fields, terms),
+        options
+      );
+
+      const matchAll = options.matchAll !== false;
+      let results = [];
+      for (const record of records) {
+        const match = this._scoreSearchMatch(
+          record,
+          fields,
+          terms,
+          !!options.fuzzy
+        );
+        const isMatch = matchAll
+          ? match.matchedTerms === terms.length
+          : match.matchedTerms > 0;
+        if (isMatch) {
+          results.push({
+            record,
+            score: match.score,
+            highlights: match.highlights,
+          });
+        }
+      }
+      results.sort((a, b) => b.score - a.score || a.record.id - b.record.id);
+
+      if (options.limit !== undefined) {
+        const limit = parseInt(options.limit);
+        if (isNaN(limit) || limit < 1) {
+          throw new ValidationError(
+            "Invalid search: limit must be a positive number"
+          );
+        }
+        results = results.slice(0, limit);
+      }
+
+      let message = `Found ${results.length} matching records`;
+      // Pages and cursors follow the ranking: score, then ID
+      const pagination = this._paginate(tableName, results, options, [
+        {
+          field: "score",
+          type: "number",
+          direction: -1,
+          nulls: "last",
+          get: (result) => result.score,
+        },
+        {
+          field: "id",
+          type: "number",
+          direction: 1,
+          nulls: "last",
+          get: (result) => result.record.id,
+        },
+      ]);
+      if (pagination) {
+        results = pagination.data;
+        message += ` (${pagination.message})`;
+      }
+
+      return {
+        status: 200,
+        data: results,
+        message: message,
+        ...(pagination && { metadata: pagination.metadata }),
+      };
+    } catch (err) {
+      console.error(`Error in search: ${err.message}`);
+      return {
+        status: err instanceof ValidationError ? 400 : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Starts a chainable query on a table
+   * @example db.from("ORDERS").where({ status: "open" }).orderBy("amount", "desc").limit(20).run()
+   * @param {string} tableName - Name of the table to query
+   * @returns {QueryBuilder} Query builder bound to this database
+   */
+  from(tableName) {
+    return new QueryBuilder(this, tableName);
+  }
+
+  /**
+   * Runs several write operations as one unit. The script lock is held for the whole callback and
+   * each operation keeps a before-image of the rows it changes. If the callback throws or an operation
+   * returns a non-2xx status, the added rows are deleted and the before-images written back.
+   * @example db.transaction((tx) => { const order = tx.create("ORDERS", {...}); tx.createMany("LINES", lines.map((l) => ({ ...l, orders_id: order.id }))); })
+   * @param {function(Transaction): *} callback - Receives the transaction, its return value is returned as data
+   * @returns {Object} Status, data, the outcome of every operation and whether it was rolled back
+   */
+  transaction(callback) {
+    if (typeof callback !== "function") {
+      return {
+        status: 400,
+        error: "Invalid transaction: expected a callback function",
+      };
+    }
+    if (this.activeTransaction) {
+      return {
+        status: 400,
+        error: "Invalid transaction: nested transactions are not supported",
+      };
+    }
+    if (!this._acquireLock("TRANSACTION", null, "write")) {
+      return {
+        status: 500,
+        error: "Could not acquire lock for transaction",
+      };
+    }
+
+    const tx = new Transaction(this);
+    this.activeTransaction = tx;
+    try {
+      const data = callback(tx);
+      return {
+        status: 200,
+        data: data,
+        operations: tx.operations,
+        rolledBack: false,
+        message: `Transaction committed with ${tx.operations.length} operations`,
+      };
+    } catch (err) {
+      console.error(`Error in transaction: ${err.message}`);
+      const { restored, failed } = tx._rollback();
+      return {
+        status: tx.failedStatus || 500,
+        error: err.message,
+        operations: tx.operations,
+        rolledBack: failed.length === 0,
+        ...(failed.length > 0 && { failedTables: failed }),
+        message:
+          failed.length > 0
+            ? `Transaction rollback failed for tables: ${failed.join(", ")}`
+            : restored.length > 0
+            ? `Transaction rolled back, restored tables: ${restored.join(", ")}`
+            : "Transaction rolled back, no table was modified",
+      };
+    } finally {
+      this.activeTransaction = null;
+      this._releaseLock("TRANSACTION", null, "write");
+    }
+  }
+
+  /**
+   * Applies the schema migrations that have not run yet, in version order. Each migration's
+   * up(schema) receives a MigrationSchema whose operations change the main table and its history
+   * table together. Applied versions are recorded in the hidden _GASDB_MIGRATIONS sheet, so every
+   * migration runs once. A migration that throws is rolled back and stops the run.
+   * @example db.migrate([{ version: 1, up: (schema) => schema.addColumn("EMPLOYEES", "email", "string") }])
+   * @param {Array<{version: number, name?: string, up: function(MigrationSchema)}>} migrations - Migrations to apply
+   * @returns {Object} Status and { applied, currentVersion }, plus failedVersion when a migration failed
+   */
+  migrate(migrations) {
+    try {
+      if (!Array.isArray(migrations)) {
+        throw new ValidationError("Invalid migration list: expected an array");
+      }
+      const versions = new Set();
+      migrations.forEach((migration) => {
+        if (
+          !migration ||
+          !Number.isInteger(migration.version) ||
+          migration.version < 1 ||
+          typeof migration.up !== "function"
+        ) {
+          throw new ValidationError(
+            "Invalid migration: expected { version: positive integer, up: function }"
+          );
+        }
+        if (versions.has(migration.version)) {
+          throw new ValidationError(
+            `Invalid migration: version ${migration.version} is defined twice`
+          );
+        }
+        versions.add(migration.version);
+      });
+
+      if (!this._acquireLock("MIGRATIONS", null, "write")) {
+        throw new Error("Could not acquire lock for migrations");
+      }
+      try {
+        const log = this._getMigrationsSheet();
+        const appliedVersions =
+          log.getLastRow() > 1
+            ? log
+                .getRange(2, 1, log.getLastRow() - 1, 1)
+                .getValues()
+                .map((row) => Number(row[0]))
+            : [];
+        const pending = migrations
+          .filter((migration) => !appliedVersions.includes(migration.version))
+          .sort((a, b) => a.version - b.version);
+
+        const applied = [];
+        for (const migration of pending) {
+          const schema = new MigrationSchema(this);
+          try {
+            migration.up(schema);
+          } catch (err) {
+            console.error(
+              `Error in migration ${migration.version}: ${err.message}`
+            );
+            schema._rollback();
+            return {
+              status:
+                err.message.includes("Invalid migration") ||
+                err.message.includes("Cannot convert") ||
+                err.message.includes("Invalid type")
+                  ? 400
+                  : 500,
+              error: `Migration ${migration.version} failed and was rolled back: ${err.message}`,
+              data: { applied, failedVersion: migration.version },
+            };
+          }
+          schema._dropBackups();
+          for (const tableName of schema.contextSnapshots.keys()) {
+            this._persistSchema(tableName);
+          }
+          log.appendRow([migration.version, migration.name || "", new Date()]);
+          applied.push(migration.version);
+        }
+
+        return {
+          status: 200,
+          data: {
+            applied,
+            currentVersion: Math.max(0, ...appliedVersions, ...applied),
+          },
+          message:
+            applied.length > 0
+              ? `Applied migrations: ${applied.join(", ")}`
+              : "Schema is up to date",
+        };
+      } finally {
+        this._releaseLock("MIGRATIONS", null, "write");
+      }
+    } catch (err) {
+      console.error(`Error in migrate: ${err.message}`);
+      return {
+        status: err.message.includes("Invalid migration") ? 400 : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  getRelatedRecordsWithFilter(
+    foreignKey,
+    tableName,
+    field,
+    fieldIndex,
+    options = {},
+    useCache = false
+  ) {
+    try {
+      let message = "Related Data retrieved successfully";
+      const sheet = this._getSheet(tableName);
+
+      if (!(typeof foreignKey === "number"))
+        throw new Error(`Foreign key (${foreignKey}) is not a number!`);
+
+      if (!sheet) {
+        throw new Error(`Table "${tableName}" not found`);
+      } else {
+        console.log(`Table found: ${sheet.getName()}`);
+      }
+
+      if (!this.tables[tableName][field]) {
+        throw new Error(`Query field (${field}) does NOT exists in the table.`);
+      }
+
+      const cacheKey = `${tableName}_FK_${foreignKey}_all`;
+      let relatedData;
+
+      if (useCache) {
+        relatedData = this._getCachedData(cacheKey).filter((record) => {
+          return record[field] === foreignKey;
+        });
+      }
+
+      if (!relatedData) {
+        const headers = this._getHeaders(sheet);
+
+        if (sheet.getLastRow() === 1) {
+          return {
+            status: 200,
+            data: [],
+            message: `No Data in the Table "${tableName}"`,
+          };
+        }
+        console.log("queried column: ", headers[fieldIndex]);
+        relatedData = sheet
+          .getRange(2, 1, sheet.getLastRow(), sheet.getLastColumn())
+          .getValues()
+          .filter((row) => {
+            // console.log("row analizada")
+            return row[fieldIndex] === foreignKey;
+          })
+          .map((row) => {
+            return headers.reduce((acc, header, index) => {
+              header = header.toLowerCase();
+              acc[header] = row[index];
+              return acc;
+            }, {});
+          });
+        this._deserializeRecords(tableName, relatedData);
+        if (relatedData.length <= 1000) {
+          this._setCachedData(cacheKey, relatedData);
+        }
+      }
+
+      relatedData = this._excludeSoftDeleted(tableName, relatedData, options);
+
+      if (options.sortBy) {
+        const sorting = this._sortRecords(
+          tableName,
+          relatedData,
+          options,
+          "Related Data Sorted Successfully"
+        );
+        relatedData = sorting.data;
+        message = sorting.message;
+      }
+
+      const pagination = this._paginate(tableName, relatedData, options);
+      if (pagination) {
+        relatedData = pagination.data;
+        message += `(${pagination.message})`;
+      }
+
+      return {
+        status: 200,
+        data: relatedData,
+        message: message,
+        ...(pagination && { metadata: pagination.metadata }),
+      };
+    } catch (err) {
+      console.error(`Error in fetchRelatedRecords: ${err.message}`);
+      return {
+        status:
+          err.message.includes("Invalid sortBy") ||
+          err.message.includes("Invalid cursor")
+            ? 400
+            : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  getRelatedRecordsWithLogs(
+    foreignKey,
+    tableName,
+    field,
+    fieldIndex,
     options = {},
     useCache = false
   ) {
@@ -2087,7 +3900,7 @@ class DB {
         }
 
         console.log(`[FILTER] Found ${finalData.length} matching records`);
-        relatedData = finalData;
+        relatedData = this._deserializeRecords(tableName, finalData);
 
         if (relatedData.length <= 1000) {
           console.log(`[CACHE] Caching ${relatedData.length} records`);
@@ -2097,69 +3910,29 @@ class DB {
         }
       }
 
+      relatedData = this._excludeSoftDeleted(tableName, relatedData, options);
+
       // Sorting
       if (options.sortBy) {
         console.log(`[SORT] Attempting to sort by:`, options.sortBy);
-        const sortField = options.sortBy;
-        const sortOrder = options.sortOrder === "desc" ? -1 : 1;
-        let fieldType = this.tables[tableName][sortField];
-        if (fieldType && fieldType.hasOwnProperty("type"))
-          fieldType = fieldType.type;
-        console.log(`[SORT] Field type:`, fieldType);
-
-        if (fieldType) {
-          relatedData.sort((a, b) => {
-            let compareOperator;
-            switch (fieldType) {
-              case "number":
-                compareOperator = a[sortField] - b[sortField];
-                break;
-              case "string":
-                compareOperator = a[sortField].localeCompare(b[sortField]);
-                break;
-              case "boolean":
-                if (a[sortField] && !b[sortField]) {
-                  compareOperator = -1;
-                } else if (!a[sortField] && b[sortField]) {
-                  compareOperator = 1;
-                } else {
-                  compareOperator = 0;
-                }
-                break;
-              case "date":
-                compareOperator =
-                  a[sortField].getTime() - b[sortField].getTime();
-                break;
-              default:
-                throw new Error(`Unsupported sort field type: ${fieldType}`);
-            }
-            return compareOperator * sortOrder;
-          });
-          message = `Related Data Sorted Successfully by '${sortField}'`;
-        } else {
-          console.warn(`[SORT] Field not found in schema:`, sortField);
-          message = `Warning: Sorting not applied. Field '${sortField}' not found in table schema.`;
-        }
+        const sorting = this._sortRecords(
+          tableName,
+          relatedData,
+          options,
+          "Related Data Sorted Successfully"
+        );
+        console.log(`[SORT] Applied sort spec:`, sorting.spec);
+        relatedData = sorting.data;
+        message = sorting.message;
       }
 
       // Pagination
-      if (options.page && options.pageSize) {
-        console.log(`[PAGE] Applying pagination:`, options);
-        const page = parseInt(options.page);
-        const pageSize = parseInt(options.pageSize);
-
-        if (isNaN(page) || isNaN(pageSize) || page < 1 || pageSize < 1) {
-          console.error(`[PAGE] Invalid pagination parameters:`, {
-            page,
-            pageSize,
-          });
-          throw new Error("Invalid pagination parameters");
-        }
-
-        const startIndex = (page - 1) * pageSize;
-        relatedData = relatedData.slice(startIndex, startIndex + pageSize);
-        message += `(Page ${page}, ${pageSize} items per page)`;
-        console.log(`[PAGE] Applied pagination, results:`, relatedData.length);
+      console.log(`[PAGE] Applying pagination:`, options);
+      const pagination = this._paginate(tableName, relatedData, options);
+      if (pagination) {
+        relatedData = pagination.data;
+        message += `(${pagination.message})`;
+        console.log(`[PAGE] Applied pagination:`, pagination.metadata);
       }
 
       console.log(`[END] Returning ${relatedData.length} records`);
@@ -2167,12 +3940,17 @@ class DB {
         status: 200,
         data: relatedData,
         message: message,
+        ...(pagination && { metadata: pagination.metadata }),
       };
     } catch (err) {
       console.error(`[ERROR] Error in getRelatedRecords:`, err);
       console.error(`[ERROR] Stack trace:`, err.stack);
       return {
-        status: 500,
+        status:
+          err.message.includes("Invalid sortBy") ||
+          err.message.includes("Invalid cursor")
+            ? 400
+            : 500,
         error: err.message,
       };
     }
@@ -2249,77 +4027,45 @@ class DB {
             finalData.push(obj);
           }
         }
-        relatedData = finalData;
+        relatedData = this._deserializeRecords(tableName, finalData);
         if (relatedData.length <= 1000) {
           this._setCachedData(cacheKey, relatedData);
         }
       }
 
-      if (options.sortBy) {
-        const sortField = options.sortBy;
-        const sortOrder = options.sortOrder === "desc" ? -1 : 1;
-        let fieldType = this.tables[tableName][sortField];
-        if (fieldType && fieldType.hasOwnProperty("type"))
-          fieldType = fieldType.type;
-        console.log("fieldTypes", this.tables[tableName]);
-
-        if (fieldType) {
-          relatedData.sort((a, b) => {
-            let compareOperator;
-
-            switch (fieldType) {
-              case "number":
-                compareOperator = a[sortField] - b[sortField];
-                break;
-              case "string":
-                compareOperator = a[sortField].localeCompare(b[sortField]);
-                break;
-              case "boolean":
-                if (a[sortField] && !b[sortField]) {
-                  compareOperator = -1;
-                } else if (!a[sortField] && b[sortField]) {
-                  compareOperator = 1;
-                } else {
-                  compareOperator = 0;
-                }
-                break;
-              case "date":
-                compareOperator =
-                  a[sortField].getTime() - b[sortField].getTime();
-                break;
-              default:
-                throw new Error(`Unsupported sort field type: ${fieldType}`);
-            }
+      relatedData = this._excludeSoftDeleted(tableName, relatedData, options);
 
-            return compareOperator * sortOrder;
-          });
-          message = `Related Data Sorted Successfully by '${sortField}'`;
-        } else {
-          message = `Warning: Sorting not applied. Field '${sortField}' not found in table schema.`;
-        }
+      if (options.sortBy) {
+        const sorting = this._sortRecords(
+          tableName,
+          relatedData,
+          options,
+          "Related Data Sorted Successfully"
+        );
+        relatedData = sorting.data;
+        message = sorting.message;
       }
 
-      if (options.page && options.pageSize) {
-        const page = parseInt(options.page);
-        const pageSize = parseInt(options.pageSize);
-        if (isNaN(page) || isNaN(pageSize) || page < 1 || pageSize < 1) {
-          throw new Error("Invalid pagination parameters");
-        }
-
-        const startIndex = (page - 1) * pageSize;
-        relatedData = relatedData.slice(startIndex, startIndex + pageSize);
-        message += `(Page ${page}, ${pageSize} items per page)`;
+      const pagination = this._paginate(tableName, relatedData, options);
+      if (pagination) {
+        relatedData = pagination.data;
+        message += `(${pagination.message})`;
       }
 
       return {
         status: 200,
         data: relatedData,
         message: message,
+        ...(pagination && { metadata: pagination.metadata }),
       };
     } catch (err) {
       console.error(`Error in fetchRelatedRecords: ${err.message}`);
       return {
-        status: 500,
+        status:
+          err.message.includes("Invalid sortBy") ||
+          err.message.includes("Invalid cursor")
+            ? 400
+            : 500,
         error: err.message,
       };
     }
@@ -2408,84 +4154,55 @@ class DB {
         // const rowIndices = matchedRanges.map((range) => range.getRow()).sort((a, b) => a - b);
         const filteredRows = rowIndices.map((row) => allData[row - 2]);
 
-        relatedData = filteredRows.map((row) => {
-          headers.reduce((acc, header, index) => {
-            header = header.toLowerCase();
-            acc[header] = row[index];
-            return acc;
-          }, {});
-        });
+        relatedData = this._deserializeRecords(
+          tableName,
+          filteredRows.map((row) =>
+            headers.reduce((acc, header, index) => {
+              header = header.toLowerCase();
+              acc[header] = row[index];
+              return acc;
+            }, {})
+          )
+        );
 
         if (relatedData.length <= 1000) {
           this._setCachedData(cacheKey, relatedData);
         }
       }
 
-      if (options.sortBy) {
-        const sortField = options.sortBy;
-        const sortOrder = options.sortOrder === "desc" ? -1 : 1;
-        let fieldType = this.tables[tableName][sortField];
-        if (fieldType && fieldType.hasOwnProperty("type"))
-          fieldType = fieldType.type;
-        console.log("fieldTypes", this.tables[tableName]);
-
-        if (fieldType) {
-          relatedData.sort((a, b) => {
-            let compareOperator;
-
-            switch (fieldType) {
-              case "number":
-                compareOperator = a[sortField] - b[sortField];
-                break;
-              case "string":
-                compareOperator = a[sortField].localeCompare(b[sortField]);
-                break;
-              case "boolean":
-                if (a[sortField] && !b[sortField]) {
-                  compareOperator = -1;
-                } else if (!a[sortField] && b[sortField]) {
-                  compareOperator = 1;
-                } else {
-                  compareOperator = 0;
-                }
-                break;
-              case "date":
-                compareOperator =
-                  a[sortField].getTime() - b[sortField].getTime();
-                break;
-              default:
-                throw new Error(`Unsupported sort field type: ${fieldType}`);
-            }
+      relatedData = this._excludeSoftDeleted(tableName, relatedData, options);
 
-            return compareOperator * sortOrder;
-          });
-          message = `Related Data Sorted Successfully by '${sortField}'`;
-        } else {
-          message = `Warning: Sorting not applied. Field '${sortField}' not found in table schema.`;
-        }
+      if (options.sortBy) {
+        const sorting = this._sortRecords(
+          tableName,
+          relatedData,
+          options,
+          "Related Data Sorted Successfully"
+        );
+        relatedData = sorting.data;
+        message = sorting.message;
       }
 
-      if (options.page && options.pageSize) {
-        const page = parseInt(options.page);
-        const pageSize = parseInt(options.pageSize);
-        if (isNaN(page) || isNaN(pageSize) || page < 1 || pageSize < 1) {
-          throw new Error("Invalid pagination parameters");
-        }
-
-        const startIndex = (page - 1) * pageSize;
-        relatedData = relatedData.slice(startIndex, startIndex + pageSize);
-        message += `(Page ${page}, ${pageSize} items per page)`;
+      const pagination = this._paginate(tableName, relatedData, options);
+      if (pagination) {
+        relatedData = pagination.data;
+        message += `(${pagination.message})`;
       }
 
       return {
         status: 200,
         data: relatedData,
         message: message,
+        ...(pagination && { metadata: pagination.metadata }),
       };
     } catch (err) {
       console.error(`Error in fetchRelatedRecords: ${err.message}`);
       return {
-        status: 500,
+        status:
+          err.message.includes("Invalid sortBy") ||
+          err.message.includes("Invalid cursor")
+            ? 400
+            : 500,
         error: err.message,
       };
     }
@@ -2522,6 +4239,14 @@ class DB {
         );
       }
 
+      const enrichedData = {
+        created_at: new Date(),
+        ...data,
+      };
+      keyOrder = this._resolveKeyOrder(junctionTableName, headers, keyOrder, [
+        enrichedData,
+      ]);
+
       // Get foreign key field names and their indices
       let entityTableNames = keyOrder.filter((item) => item.endsWith("_id"));
 
@@ -2610,29 +4335,21 @@ class DB {
           )} in another record`
         );
       }
-      // Prepare final data with timestamp
-      const enrichedData = {
-        created_at: new Date(),
-        ...data,
-      };
-
       return this.update(junctionTableName, id, enrichedData, keyOrder);
     } catch (err) {
       console.error("Error updating junction record", err.stack);
-      const isValidationError =
-        err.message.includes("ID parameter is required") ||
-        err.message.includes("must have exactly two") ||
-        err.message.includes("not found in headers") ||
-        err.message.includes("Type mismatch") ||
-        err.message.includes("Missing required fields") ||
-        err.message.includes("Incomplete keyOrder") ||
-        err.message.includes("Record with ID");
       return {
         status: err.message.includes("Record with ID")
           ? 404
-          : isValidationError
-          ? 400
-          : 500,
+          : this._getWriteErrorStatus(err, [
+              "ID parameter is required",
+              "must have exactly two",
+              "not found in headers",
+              "Type mismatch",
+              "Missing required fields",
+              "Incomplete keyOrder",
+              "Invalid keyOrder",
+            ]),
         error: {
           message: err.message,
           stackTrace: err.stack,
@@ -2641,559 +4358,4128 @@ class DB {
     }
   }
 
-  _getHeaders(sheet) {
-    const rawHeaders = sheet
-      .getRange(1, 1, 1, sheet.getLastColumn())
-      .getValues()[0];
-    // Ensure all headers are strings to prevent issues with .toLowerCase(), .endsWith(), etc.
-    return rawHeaders.map((header) => String(header));
-  }
+  /**
+   * Maps the fields of a patch to their column index and checks their type
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {string[]} headers - Sheet headers
+   * @param {Object} patch - Fields to change and their new values
+   * @returns {Array<{index: number, value: *}>} Zero-based column index and sanitized value to write
+   */
+  _resolvePatchColumns(tableName, headers, patch) {
+    this._assertNoSchemaDrift(tableName, headers);
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+      throw new ValidationError("Invalid patch: expected an object");
+    }
 
-  _getSheet(name) {
-    return this.spreadsheet.getSheetByName(name);
+    const patchColumns = Object.keys(patch).map((key) => {
+      const field = key.toLowerCase();
+      const index = headers.findIndex((h) => h.toLowerCase() === field);
+      if (
+        index === -1 ||
+        field === "id" ||
+        field === "date" ||
+        this._getSystemFields(tableName).includes(field)
+      ) {
+        throw new ValidationError(
+          `Invalid patch: field '${key}' cannot be updated in table "${tableName}"`
+        );
+      }
+      const expectedType = this._getExpectedType(tableName, key);
+      if (
+        expectedType &&
+        !this._checkType(
+          patch[key],
+          expectedType,
+          this._getFieldDefinition(tableName, key)
+        )
+      ) {
+        throw new Error(
+          `Type mismatch for field '${key}'. Expected ${expectedType}, got ${typeof patch[
+            key
+          ]}, value: ${patch[key]}`
+        );
+      }
+      const value = this._serializeValue(tableName, key, patch[key]);
+      return { index, value: this._sanitizeForCSV(value) };
+    });
+    if (patchColumns.length === 0) {
+      throw new ValidationError("Invalid patch: no fields to update");
+    }
+    return patchColumns;
   }
 
-  _getNextId(sheet) {
-    const lastRow = sheet.getLastRow();
-    console.log(lastRow);
-    if (lastRow <= 1) return 1;
-
-    const idRange = sheet.getRange("A:A");
-    const lastId = idRange.getValues()[lastRow - 1][0];
+  /**
+   * Applies defaults, then checks required fields and types of a record about to be created
+   * @private
+   * @returns {{ data: Object, appliedDefaults: Array, typesChecked: boolean }}
+   * @throws {Error} On an incomplete keyOrder, missing fields or a type mismatch
+   */
+  _prepareRecordForCreate(tableName, data, keyOrder) {
+    // Apply defaults before validation and type checking
+    const defaultsApplication = this._applyDefaults(tableName, data, keyOrder);
+    const dataWithDefaults = defaultsApplication.data;
 
-    const nextId = Math.max(lastRow, parseInt(lastId) + 1);
-    console.log("next id", nextId);
-    if (isNaN(nextId)) {
+    const validation = this._validateData(
+      tableName,
+      dataWithDefaults,
+      keyOrder,
+      `for table "${tableName}"`
+    );
+    if (!validation.isValid) {
       throw new Error(
-        "Next ID is not a number, please check the ID column in the sheet"
+        `Missing required fields: ${validation.missingKeys.join(
+          ", "
+        )} for table "${tableName}"`
       );
     }
-    return nextId;
-  }
 
-  _getCachedData(key) {
-    const cached = this.cache.get(key);
-    return cached ? JSON.parse(cached) : null;
+    let typesChecked = false;
+    if (this.tables[tableName]) {
+      for (const [key, val] of Object.entries(dataWithDefaults)) {
+        const expectedType = this._getExpectedType(tableName, key);
+        if (
+          expectedType &&
+          !this._checkType(
+            val,
+            expectedType,
+            this._getFieldDefinition(tableName, key)
+          )
+        ) {
+          throw new Error(
+            `Type mismatch for field '${key}'. Expected ${expectedType}, got ${typeof val}`
+          );
+        }
+      }
+      typesChecked = true;
+    }
+
+    return {
+      data: dataWithDefaults,
+      appliedDefaults: defaultsApplication.appliedDefaults,
+      typesChecked,
+    };
   }
 
-  _setCachedData(key, data) {
-    console.log(
-      "[CACHE] trying to cache",
-      data.length,
-      " records in",
-      key,
-      "key"
+  /**
+   * Returns the headers of a history table, adding the columns that keep the original ID,
+   * the original creation date and the "TABLE:id" of the cascade delete that archived the row
+   * @private
+   */
+  _getHistoryHeaders(historySheet) {
+    const headers = this._getHeaders(historySheet);
+    const missing = ["ORIGINAL_ID", "ORIGINAL_DATE", "CASCADE_FROM"].filter(
+      (column) => !headers.includes(column)
     );
-    try {
-      this.cache.put(key, JSON.stringify(data), 600);
-    } catch (e) {
-      console.log(
-        "[CACHE] tried to cache",
-        data.length,
-        " records in",
-        key,
-        "key, but got the error: ",
-        e.message
-      );
-      console.log("[WARNING] NO CACHE SET FOR ", key, " key");
+    if (missing.length > 0) {
+      historySheet
+        .getRange(1, headers.length + 1, 1, missing.length)
+        .setValues([missing]);
     }
+    return headers.concat(missing);
   }
 
-  _clearCache(tableName) {
-    this.cache.remove(`${tableName}_all`);
+  /**
+   * Builds the history row of a removed record: new history ID, deletion date, the record's
+   * values matched by header, and its original ID and creation date
+   * @private
+   */
+  _buildHistoryRow(
+    historyHeaders,
+    historyId,
+    headers,
+    row,
+    cascadeFrom = "",
+    deletedAt = new Date()
+  ) {
+    return historyHeaders.map((historyHeader, index) => {
+      if (index === 0) return historyId;
+      if (index === 1) return deletedAt;
+      if (historyHeader === "ORIGINAL_ID") return row[0];
+      if (historyHeader === "ORIGINAL_DATE") return row[1];
+      if (historyHeader === "CASCADE_FROM") return cascadeFrom;
+      const sourceIndex = headers.indexOf(historyHeader);
+      return sourceIndex > 1 ? row[sourceIndex] : "";
+    });
   }
 
   /**
-   * Handles cascade deletion of related records
+   * Builds the table row of a record restored from its history entry
    * @private
-   * @param {string} tableName - Name of the parent table
-   * @param {number} id - ID of the record being deleted
-   * @returns {Object} Status and count of deleted related records
    */
-  _handleCascadeDelete(tableName, id) {
-    try {
-      const sheets = this.spreadsheet.getSheets();
-      const tableBaseName = tableName.toLowerCase();
-
-      let deletedRelations = 0; // Track number of affected records
-      for (const sheet of sheets) {
-        const sheetName = sheet.getName();
-        if (!sheetName.includes("DELETED") && sheetName.includes("RELATION")) {
-          const junctionTableName = sheetName;
-          const junctionHistoryTableName = `DELETED_${sheetName}`;
-          const headers = this._getHeaders(sheet);
-          const fkFieldName = `${tableBaseName}_id`;
+  _buildRestoredRow(headers, historyRecord) {
+    return headers.map((header, index) => {
+      if (index === 0) return historyRecord.original_id;
+      if (index === 1) return historyRecord.original_date;
+      const value = historyRecord[header.toLowerCase()];
+      return value === undefined ? "" : value;
+    });
+  }
 
-          const fkIndex = headers.indexOf(fkFieldName.toUpperCase());
+  /**
+   * Lists the rows of a history table matching a predicate. Entries archived before the
+   * ORIGINAL_ID column existed have no original_id and cannot be matched.
+   * @private
+   * @returns {Array<{rowIndex: number, record: Object}>} Matching entries, rowIndex is 1-based
+   */
+  _findHistoryEntries(historySheet, predicate) {
+    // Lookups must not add the history columns, only writes do
+    const headers = this._getHeaders(historySheet);
+    const lastRow = historySheet.getLastRow();
+    if (lastRow <= 1) return [];
+
+    return historySheet
+      .getRange(2, 1, lastRow - 1, headers.length)
+      .getValues()
+      .map((row, i) => ({
+        rowIndex: i + 2,
+        record: headers.reduce((acc, header, index) => {
+          acc[header.toLowerCase()] = row[index];
+          return acc;
+        }, {}),
+      }))
+      .filter((entry) => predicate(entry.record));
+  }
 
-          if (fkIndex !== -1) {
-            const response = this.deleteRelatedJunctionRecords(
-              junctionTableName,
-              junctionHistoryTableName,
-              fkIndex,
-              id
-            );
-            if (response.status === 200) {
-              deletedRelations += response.count;
-            }
-          }
-        }
-      }
-      return {
-        status: 200,
-        message: `Cascade delete completed. Removed ${deletedRelations} related records`,
-      };
-    } catch (err) {
-      console.error("Cascade delete failed:", err);
-      throw err; // Propagate error to main delete operation
+  /**
+   * Writes some columns of consecutive rows, one range per run of adjacent columns, so the
+   * cells in between are never rewritten
+   * @private
+   * @param {Sheet} sheet - Sheet to write to
+   * @param {number} firstRow - 1-based index of the first row
+   * @param {Array<Array>} rows - Full rows holding the new values
+   * @param {number[]} columns - 0-based indexes of the columns to write
+   */
+  _writeColumns(sheet, firstRow, rows, columns) {
+    const sorted = [...new Set(columns)].sort((a, b) => a - b);
+    let runStart = 0;
+    for (let i = 1; i <= sorted.length; i++) {
+      if (i < sorted.length && sorted[i] === sorted[i - 1] + 1) continue;
+      const from = sorted[runStart];
+      const to = sorted[i - 1] + 1;
+      sheet
+        .getRange(firstRow, from + 1, rows.length, to - from)
+        .setValues(rows.map((row) => row.slice(from, to)));
+      runStart = i;
     }
   }
 
   /**
-   * Find the row index of a record by its ID
-   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to search in
-   * @param {number|string} id - The ID to search for
-   * @returns {number} The row index of the found ID, or -1 if not found
+   * Inserts a row before the first record with a greater ID, so the last row keeps the
+   * highest ID that _getNextId relies on. The row is sanitized like every other write.
+   * @private
    */
-  _findRowById(sheet, id) {
-    const idRange = sheet.getRange("A:A");
-    const searchResult = idRange
-      .createTextFinder(id.toString())
-      .matchEntireCell(true)
-      .matchCase(false)
-      .findNext();
-    return searchResult ? searchResult.getRow() : -1;
+  _insertRowInIdOrder(sheet, row) {
+    row = this._sanitizeRow(row);
+    const lastRow = sheet.getLastRow();
+    const ids =
+      lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 1).getValues() : [];
+    const position = ids.findIndex(([id]) => Number(id) > Number(row[0]));
+    if (position === -1) {
+      sheet.appendRow(row);
+      return;
+    }
+    sheet.insertRowBefore(position + 2);
+    sheet.getRange(position + 2, 1, 1, row.length).setValues([row]);
   }
 
-  // _validateData(data, keyOrder) {
-  //   return keyOrder.every((key) => key in data);
-  // }
-
   /**
-   * Validates that keyOrder includes all required fields from table schema
+   * Returns the keyOrder of a write sorted by column. When it is omitted the keys of the
+   * written records are used, plus, for a create, the fields that have a default.
+   * Each key has to match a header, case-insensitively.
+   * @private
    * @param {string} tableName - Name of the table
-   * @param {string[]} keyOrder - Array of field names provided
-   * @returns {Object} - Validation result with missing required fields
+   * @param {string[]} headers - Sheet headers
+   * @param {string[]} [keyOrder] - Keys provided by the caller
+   * @param {Object[]} [records=[]] - Records the keyOrder is derived from when it is omitted
+   * @param {boolean} [withDefaults=false] - Whether fields with a default are added to a derived keyOrder
+   * @returns {string[]} Keys in column order
    */
-  _validateKeyOrderCompleteness(tableName, keyOrder) {
-    const tableSchema = this.tables[tableName];
-    if (!tableSchema) {
-      return { isValid: true, missingRequiredFields: [] }; // No schema to validate against
-    }
-
-    const requiredFields = [];
-    for (const [fieldName, fieldDef] of Object.entries(tableSchema)) {
-      const hasDefault =
-        this._getDefaultValue(tableName, fieldName) !== undefined;
-      if (!hasDefault) {
-        requiredFields.push(fieldName);
+  _resolveKeyOrder(
+    tableName,
+    headers,
+    keyOrder,
+    records = [],
+    withDefaults = false
+  ) {
+    this._assertNoSchemaDrift(tableName, headers);
+    const systemFields = this._getSystemFields(tableName);
+    const fields = headers
+      .slice(2)
+      .map((header) => header.toLowerCase())
+      .filter((field) => !systemFields.includes(field));
+    if (keyOrder === undefined || keyOrder === null) {
+      const keys = new Map();
+      for (const record of records) {
+        if (!record || typeof record !== "object") continue;
+        for (const key of Object.keys(record)) {
+          if (!keys.has(key.toLowerCase())) keys.set(key.toLowerCase(), key);
+        }
       }
+      if (withDefaults) {
+        for (const field of fields) {
+          if (
+            !keys.has(field) &&
+            this._getDefaultValue(tableName, field) !== undefined
+          ) {
+            keys.set(field, field);
+          }
+        }
+      }
+      keyOrder = Array.from(keys.values());
+    }
+    if (!Array.isArray(keyOrder)) {
+      throw new ValidationError(
+        "Invalid keyOrder: expected an array of field names"
+      );
     }
 
-    const missingRequiredFields = requiredFields.filter(
-      (field) => !keyOrder.includes(field)
+    const unknownKeys = keyOrder.filter(
+      (key) => !fields.includes(String(key).toLowerCase())
+    );
+    if (unknownKeys.length > 0) {
+      throw new ValidationError(
+        `Invalid keyOrder: [${unknownKeys.join(
+          ", "
+        )}] do not match any column of table "${tableName}"`
+      );
+    }
+    return [...keyOrder].sort(
+      (a, b) =>
+        fields.indexOf(a.toLowerCase()) - fields.indexOf(b.toLowerCase())
     );
-    const isValid = missingRequiredFields.length === 0;
-
-    return { isValid, missingRequiredFields, requiredFields };
   }
 
   /**
-   * Validates that all required keys are present in the data object.
-   * @param {Object} data - The data object to validate.
-   * @param {string[]} keyOrder - An array of required keys.
-   * @param {string} [context] - Optional context for error messages.
-   * @returns {Object} - An object containing validation status and missing keys.
+   * Builds a full sheet row: ID, date, then each column filled from data when its field is in keyOrder.
+   * Columns outside keyOrder keep their value in baseRow, or are left blank.
+   * @private
    */
-  _validateData(tableName, data, keyOrder, context = "") {
-    // First validate that keyOrder is complete
-    const keyOrderValidation = this._validateKeyOrderCompleteness(
-      tableName,
-      keyOrder
-    );
-    if (!keyOrderValidation.isValid) {
-      throw new Error(
-        `Incomplete keyOrder: Missing required fields [${keyOrderValidation.missingRequiredFields.join(
-          ", "
-        )}] ${context}. Required fields are: [${keyOrderValidation.requiredFields.join(
-          ", "
-        )}]`
+  _buildRow(tableName, id, date, data, keyOrder, headers, baseRow = null) {
+    return headers.map((header, index) => {
+      if (index === 0) return id;
+      if (index === 1) return date;
+      if (header === "VERSION" && this._isVersionedTable(tableName)) {
+        return baseRow ? (Number(baseRow[index]) || 0) + 1 : 1;
+      }
+      const key = keyOrder.find(
+        (k) => k.toLowerCase() === header.toLowerCase()
       );
-    }
-
-    // Then validate that data contains all keys from keyOrder
-    const missingKeys = keyOrder.filter((key) => {
-      const isMissing = !(key in data);
-      if (!isMissing) return false;
-      const defaultValue = this._getDefaultValue(tableName, key);
-      return defaultValue ? false : true; // only flag missing if no default
+      if (key === undefined) return baseRow ? baseRow[index] : "";
+      const value = data[key];
+      if (value === undefined) return "";
+      return this._serializeValue(tableName, key, value);
     });
-    const isValid = missingKeys.length === 0;
-    return { isValid, missingKeys, context };
   }
 
-  _checkType(value, expectedType) {
-    expectedType = expectedType.trim();
-    switch (expectedType) {
-      case "number":
-        return typeof value === "number" && !isNaN(value);
-      case "string":
-        return typeof value === "string";
-      case "boolean":
-        return typeof value === "boolean";
-      case "date":
-        // console.log("chequeo de tipo date", value instanceof Date)
-        console.log(
-          "chequeo de que getTime() es un numero",
-          !isNaN(value.getTime())
-        );
-        console.log(
-          "chequeo de que es tipo date por otro metodo",
-          Object.prototype.toString.call(value) === "[object Date]"
-        );
-        return (
-          Object.prototype.toString.call(value) === "[object Date]" &&
-          !isNaN(value.getTime())
-        );
-      default:
-        return false;
+  /**
+   * Converts a validated value to what is stored in its cell: booleans as "true"/"false",
+   * json and array fields as JSON text
+   * @private
+   */
+  _serializeValue(tableName, key, value) {
+    const expectedType = this._getExpectedType(tableName, key);
+    if (expectedType === "boolean") return value.toString();
+    if (expectedType === "json" || expectedType === "array") {
+      return JSON.stringify(value);
     }
+    return value;
   }
 
   /**
-   * Normalize incoming schema field definitions to { type, default? }
-   * @param {Object} fields
-   * @returns {Object}
+   * Parses the JSON text of json and array fields in records read from a sheet.
+   * Only records built from sheet rows go through here, cached records are already parsed.
+   * @private
+   * @param {Object[]} records - Records to parse in place
+   * @returns {Object[]} The same records
    */
-  _normalizeSchemaFields(fields) {
-    const normalized = {};
-    const VALID_TYPES = ["string", "number", "boolean", "date"];
-    const validTypesList = VALID_TYPES.join(", ");
-    for (const [fieldName, definition] of Object.entries(fields || {})) {
-      if (typeof definition === "string") {
-        const typeValue = definition.trim();
-        if (!VALID_TYPES.includes(typeValue)) {
-          throw new Error(
-            `Invalid type "${typeValue}" for field "${fieldName}". Valid types are: ${validTypesList}`
-          );
-        }
-        normalized[fieldName] = { type: typeValue };
-      } else if (definition && typeof definition === "object") {
-        const typeValue =
-          typeof definition.type === "string" ? definition.type.trim() : "";
-        if (!typeValue) {
-          throw new Error(
-            `Missing required 'type' for field "${fieldName}". Valid types are: ${validTypesList}`
-          );
-        }
-        if (!VALID_TYPES.includes(typeValue)) {
-          throw new Error(
-            `Invalid type "${typeValue}" for field "${fieldName}". Valid types are: ${validTypesList}`
+  _deserializeRecords(tableName, records) {
+    const jsonFields = Object.keys(this.tables[tableName] || {}).filter(
+      (field) =>
+        ["json", "array"].includes(this._getExpectedType(tableName, field))
+    );
+    if (jsonFields.length === 0) return records;
+
+    for (const record of records) {
+      for (const field of jsonFields) {
+        const value = record[field];
+        if (typeof value !== "string" || value === "") continue;
+        try {
+          // the CSV injection guard may have prefixed the text with quotes
+          const parsed = JSON.parse(value.replace(/^'+/, ""));
+          const items = this._getFieldDefinition(tableName, field).items;
+          record[field] =
+            items === "date" && Array.isArray(parsed)
+              ? parsed.map((item) => new Date(item))
+              : parsed;
+        } catch (err) {
+          console.warn(
+            `[TYPES] Could not parse ${field} of record ${record.id} in ${tableName}: ${err.message}`
           );
         }
-        const norm = { type: typeValue };
-        if (Object.prototype.hasOwnProperty.call(definition, "default")) {
-          norm.default = definition.default;
-        }
-        // Optional behavior flags
-        if (
-          Object.prototype.hasOwnProperty.call(definition, "treatNullAsMissing")
-        ) {
-          if (typeof definition.treatNullAsMissing !== "boolean") {
-            throw new Error(
-              `Invalid value for 'treatNullAsMissing' on field "${fieldName}". Expected boolean.`
-            );
-          }
-          norm.treatNullAsMissing = definition.treatNullAsMissing;
-        }
-        if (
-          Object.prototype.hasOwnProperty.call(
-            definition,
-            "treatEmptyStringAsMissing"
-          )
-        ) {
-          if (typeof definition.treatEmptyStringAsMissing !== "boolean") {
-            throw new Error(
-              `Invalid value for 'treatEmptyStringAsMissing' on field "${fieldName}". Expected boolean.`
-            );
-          }
-          norm.treatEmptyStringAsMissing = definition.treatEmptyStringAsMissing;
-        }
-        normalized[fieldName] = norm;
-      } else {
-        throw new Error(
-          `Invalid schema definition for field "${fieldName}". Expected string or { type, default? }`
-        );
       }
     }
-    return normalized;
+    return records;
   }
 
-  _getFieldDefinition(tableName, key) {
-    const tableDef = this.tables?.[tableName];
-    if (!tableDef) return null;
-    const def = tableDef[key];
-    if (def == null) return null;
-    if (typeof def === "string") return { type: def.trim() };
-    if (typeof def === "object") return def;
-    return null;
+  /**
+   * Stores the per-table options of a table config and adds the columns they need:
+   * DELETED_AT for softDelete, VERSION (also in the history table) for versioned
+   * @private
+   */
+  _registerTableOptions(tableName, config) {
+    this.tableOptions[tableName] = this._buildTableOptions(tableName, config);
+
+    const sheet = this._getSheet(tableName);
+    if (!sheet) return;
+    if (config.softDelete) this._ensureColumn(sheet, "DELETED_AT");
+    if (config.versioned) {
+      this._ensureColumn(sheet, "VERSION");
+      const historySheet = this._getSheet(this._getHistoryTableName(tableName));
+      if (historySheet) this._ensureColumn(historySheet, "VERSION");
+    }
   }
 
-  _getExpectedType(tableName, key) {
-    const def = this._getFieldDefinition(tableName, key);
-    return def?.type || null;
+  /**
+   * Options of a table config that are kept next to its fields. relations maps foreign key
+   * fields to the table they point to, e.g. { users_id: "USERS" }
+   * @private
+   */
+  _buildTableOptions(tableName, config) {
+    return {
+      softDelete: !!config.softDelete,
+      versioned: !!config.versioned,
+      historyTableName: config.historyTableName || `DELETED_${tableName}`,
+      relations: config.relations || {},
+    };
   }
 
-  _getDefaultValue(tableName, key) {
-    const def = this._getFieldDefinition(tableName, key);
-    if (!def || !Object.prototype.hasOwnProperty.call(def, "default")) {
-      return undefined;
+  /**
+   * Returns the hidden sheet that persists the schema of every table, one JSON config per row
+   * @private
+   * @param {boolean} [create=true] - Create the sheet if it does not exist
+   */
+  _getSchemaSheet(create = true) {
+    let sheet = this._getSheet("_GASDB_SCHEMA");
+    if (!sheet && create) {
+      sheet = this.spreadsheet.insertSheet("_GASDB_SCHEMA");
+      sheet
+        .getRange(1, 1, 1, 3)
+        .setValues([["TABLE_NAME", "CONFIG", "UPDATED_AT"]]);
+      sheet.hideSheet();
     }
+    return sheet;
+  }
 
-    const defaultValue = def.default;
-
-    // Handle special default values
-    if (defaultValue === "now") {
-      return new Date();
+  /**
+   * JSON.stringify with object keys sorted, so two schemas compare equal whatever the
+   * order their fields were declared in
+   * @private
+   */
+  _stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => this._stableStringify(item)).join(",")}]`;
     }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return `{${Object.keys(value)
+        .sort()
+        .map(
+          (key) => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`
+        )
+        .join(",")}}`;
+    }
+    return JSON.stringify(value);
+  }
 
-    return defaultValue;
+  _getSchemaEntry(tableName) {
+    return {
+      fields: this.tables[tableName],
+      ...this.tableOptions[tableName],
+    };
   }
 
   /**
-   * Apply default values to missing fields (undefined only).
-   * Does not override explicit null or empty string values.
-   * @param {string} tableName
-   * @param {Object} data
-   * @param {string[]} keyOrder
-   * @returns {{ data: Object, appliedDefaults: Array<{key: string, value: any}> }}
+   * Writes the current schema of a table to the _GASDB_SCHEMA sheet
+   * @private
    */
-  _applyDefaults(tableName, data, keyOrder) {
-    const result = { ...data };
-    const appliedDefaults = [];
-    for (const key of keyOrder) {
-      const currentValue = result[key];
-      const fieldDef = this._getFieldDefinition(tableName, key) || {};
-      const treatNullAsMissing = !!fieldDef.treatNullAsMissing;
-      const treatEmptyStringAsMissing = !!fieldDef.treatEmptyStringAsMissing;
+  _persistSchema(tableName) {
+    const sheet = this._getSchemaSheet();
+    const row = [
+      tableName,
+      JSON.stringify(this._getSchemaEntry(tableName)),
+      new Date(),
+    ];
+    const names =
+      sheet.getLastRow() > 1
+        ? sheet
+            .getRange(2, 1, sheet.getLastRow() - 1, 1)
+            .getValues()
+            .map((value) => String(value[0]))
+        : [];
+    const index = names.indexOf(tableName);
+    if (index === -1) {
+      sheet.appendRow(row);
+    } else {
+      sheet.getRange(index + 2, 1, 1, row.length).setValues([row]);
+    }
+    this.cache.remove(this._getSchemaCacheKey());
+  }
 
-      const isConsideredMissing =
-        currentValue === undefined ||
-        (currentValue === null && treatNullAsMissing) ||
-        (currentValue === "" && treatEmptyStringAsMissing);
+  // The script cache is shared by every spreadsheet the script opens
+  _getSchemaCacheKey() {
+    return `_GASDB_SCHEMA_${this.spreadsheet.getId()}`;
+  }
 
-      if (isConsideredMissing) {
-        const defVal = this._getDefaultValue(tableName, key);
-        if (defVal !== undefined) {
-          // Coalesce null defaults to empty string to preserve prior blank behavior
-          result[key] = defVal === null ? "" : defVal;
-          appliedDefaults.push({ key, value: defVal });
+  /**
+   * Loads the schemas persisted in the _GASDB_SCHEMA sheet into the context. The rows are
+   * cached so most executions don't read the sheet. A table whose config cannot be read
+   * is skipped and logged.
+   * @private
+   */
+  _loadSchema() {
+    let rows;
+    const cached = this.cache.get(this._getSchemaCacheKey());
+    if (cached) {
+      rows = JSON.parse(cached);
+    } else {
+      const sheet = this._getSchemaSheet(false);
+      rows =
+        sheet && sheet.getLastRow() > 1
+          ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues()
+          : [];
+      try {
+        this.cache.put(this._getSchemaCacheKey(), JSON.stringify(rows), 21600);
+      } catch (err) {
+        console.warn(`[SCHEMA] Could not cache the schema: ${err.message}`);
+      }
+    }
+
+    for (const [tableName, json] of rows) {
+      try {
+        const { fields, ...tableOptions } = JSON.parse(json);
+        // JSON turns date defaults into strings
+        for (const definition of Object.values(fields)) {
+          if (
+            definition.type === "date" &&
+            typeof definition.default === "string" &&
+            definition.default !== "now"
+          ) {
+            definition.default = new Date(definition.default);
+          }
         }
+        this.tables[tableName] = this._normalizeSchemaFields(fields);
+        this.tableOptions[tableName] = tableOptions;
+      } catch (err) {
+        console.error(
+          `[SCHEMA] Could not load the schema of ${tableName}: ${err.message}`
+        );
       }
     }
-    return { data: result, appliedDefaults };
   }
 
   /**
-   * Validates type checking with detailed logging
+   * Infers the config of one sheet for introspect
    * @private
-   * @param {*} value - Value to check
-   * @param {string} expectedType - Expected type of the value
-   * @returns {boolean} Whether the value matches the expected type
    */
-  _checkTypeWithLogs(value, expectedType) {
-    console.log("\n[TYPE CHECK] Starting type check:", {
-      value,
-      expectedType,
-      actualType: typeof value,
-      isNull: value === null,
-      isUndefined: value === undefined,
-    });
+  _introspectSheet(sheet, sampleRows) {
+    const tableName = sheet.getName();
+    const warnings = [];
+    if (sheet.getLastColumn() === 0) {
+      return {
+        config: { tableName, fields: {} },
+        mixedTypes: {},
+        warnings: ["Sheet is empty"],
+      };
+    }
 
-    switch (expectedType) {
-      case "number":
-        const isNumber = typeof value === "number" && !isNaN(value);
-        console.log("[NUMBER CHECK]", {
-          value,
-          isTypeNumber: typeof value === "number",
-          isNotNaN: !isNaN(value),
-          finalResult: isNumber,
-        });
-        return isNumber;
+    const headers = this._getHeaders(sheet);
+    if (headers[0] !== "ID" || headers[1] !== "DATE") {
+      warnings.push(
+        `Expected ID and DATE as the first two columns, got ${headers
+          .slice(0, 2)
+          .join(", ")}`
+      );
+    }
+    const rowCount = Math.min(sampleRows, Math.max(sheet.getLastRow() - 1, 0));
+    const rows =
+      rowCount > 0
+        ? sheet.getRange(2, 1, rowCount, headers.length).getValues()
+        : [];
+    const sheetNames = this.spreadsheet
+      .getSheets()
+      .map((other) => other.getName());
+
+    const config = { tableName, fields: {} };
+    const mixedTypes = {};
+    const relations = {};
+    headers.forEach((header, index) => {
+      if (index < 2 || MigrationSchema.MANAGED_HEADERS.includes(header)) {
+        if (header === "DELETED_AT") config.softDelete = true;
+        if (header === "VERSION") config.versioned = true;
+        return;
+      }
+      if (!/^[A-Z][A-Z0-9_]*$/.test(header)) {
+        warnings.push(`Header "${header}" is not in SCREAMING_SNAKE_CASE`);
+      }
+      const field = header.toLowerCase();
 
-      case "string":
-        const isString = typeof value === "string";
-        console.log("[STRING CHECK]", {
-          value,
-          isTypeString: isString,
-          valueLength: value?.length,
-        });
-        return isString;
+      const counts = {};
+      rows.forEach((row) => {
+        const type = this._inferCellType(row[index]);
+        if (type) counts[type] = (counts[type] || 0) + 1;
+      });
+      const types = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+      if (types.length === 0) {
+        warnings.push(`Column "${field}" has no values, typed as string`);
+      } else if (types.length > 1) {
+        mixedTypes[field] = counts;
+      }
+      config.fields[field] = types[0] || "string";
 
-      case "boolean":
-        const isBoolean = typeof value === "boolean";
-        console.log("[BOOLEAN CHECK]", {
-          value,
-          isTypeBoolean: isBoolean,
-          isTruthy: !!value,
-        });
-        return isBoolean;
+      const referenced = field.endsWith("_id")
+        ? field.slice(0, -3).toUpperCase()
+        : null;
+      if (referenced && sheetNames.includes(referenced)) {
+        relations[field] = referenced;
+      }
+    });
+    if (Object.keys(relations).length > 0) config.relations = relations;
 
-      case "date":
-        try {
-          console.log("[DATE CHECK] Initial value:", {
-            value,
-            isDate: value instanceof Date,
-            prototype: Object.prototype.toString.call(value),
-          });
+    return { config, mixedTypes, warnings };
+  }
 
-          // Check if it's a Date object
-          const isDateObject =
-            Object.prototype.toString.call(value) === "[object Date]";
-          console.log("[DATE CHECK] Is Date object:", isDateObject);
+  /**
+   * Type of a cell for introspect, null for blank cells. Text "true"/"false" counts as boolean.
+   * @private
+   */
+  _inferCellType(value) {
+    if (value === "" || value === null || value === undefined) return null;
+    if (typeof value === "number") return "number";
+    if (typeof value === "boolean") return "boolean";
+    if (Object.prototype.toString.call(value) === "[object Date]")
+      return "date";
+    if (["true", "false"].includes(String(value).toLowerCase()))
+      return "boolean";
+    return "string";
+  }
 
-          // Try to get timestamp (will throw if not a valid date)
-          let hasValidTimestamp = false;
+  /**
+   * Header row a table should have according to its schema. VERSION and DELETED_AT are
+   * expected wherever the library adds them, their position is not checked.
+   * @private
+   */
+  _getExpectedHeaders(tableName, history) {
+    const options = this.tableOptions[tableName] || {};
+    return [
+      "ID",
+      "DATE",
+      ...Object.keys(this.tables[tableName]).map((field) =>
+        field.toUpperCase()
+      ),
+      ...(options.softDelete && !history ? ["DELETED_AT"] : []),
+      ...(options.versioned ? ["VERSION"] : []),
+    ];
+  }
+
+  /**
+   * Drift between an expected and an actual header row
+   * @private
+   * @returns {Object} { ok, missing, extra, reordered, misCased }, columns given as headers
+   */
+  _compareHeaders(expected, headers, history) {
+    const normalized = headers.map((header) => header.trim().toUpperCase());
+    // the history metadata columns are added on the first delete
+    const allowed = history
+      ? ["ORIGINAL_ID", "ORIGINAL_DATE", "CASCADE_FROM"]
+      : [];
+
+    const misCased = headers
+      .filter(
+        (header, index) =>
+          header !== normalized[index] && expected.includes(normalized[index])
+      )
+      .map((header) => ({
+        column: header,
+        expected: header.trim().toUpperCase(),
+      }));
+    const missing = expected.filter((header) => !normalized.includes(header));
+    const extra = headers.filter(
+      (header, index) =>
+        header !== "" &&
+        !expected.includes(normalized[index]) &&
+        !allowed.includes(normalized[index])
+    );
+    const ordered = expected.filter(
+      (header) => !MigrationSchema.MANAGED_HEADERS.includes(header)
+    );
+    const actualOrder = normalized.filter((header) => ordered.includes(header));
+    const expectedOrder = ordered.filter((header) =>
+      actualOrder.includes(header)
+    );
+    const reordered = actualOrder.filter(
+      (header, index) => header !== expectedOrder[index]
+    );
+
+    return {
+      ok:
+        misCased.length === 0 &&
+        missing.length === 0 &&
+        extra.length === 0 &&
+        reordered.length === 0,
+      missing,
+      extra,
+      reordered,
+      misCased,
+    };
+  }
+
+  /**
+   * Re-cases headers, appends missing columns and moves columns back into schema order
+   * @private
+   * @returns {string[]} Description of every change made
+   */
+  _repairSchemaDrift(tableName, { sheet, history }) {
+    const sheetName = sheet.getName();
+    const expected = this._getExpectedHeaders(tableName, history);
+    const changes = [];
+
+    let headers = this._getHeaders(sheet);
+    const drift = this._compareHeaders(expected, headers, history);
+    if (drift.ok) return changes;
+
+    if (drift.misCased.length > 0 || drift.missing.length > 0) {
+      const fixed = headers.map((header) => {
+        const upper = header.trim().toUpperCase();
+        if (header !== upper && expected.includes(upper)) {
+          changes.push(`${sheetName}: renamed "${header}" to ${upper}`);
+          return upper;
+        }
+        return header;
+      });
+      drift.missing.forEach((header) =>
+        changes.push(`${sheetName}: added column ${header}`)
+      );
+      headers = fixed.concat(drift.missing);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    }
+
+    const ordered = expected.filter(
+      (header) => !MigrationSchema.MANAGED_HEADERS.includes(header)
+    );
+    const newHeaders = [
+      ...ordered,
+      ...headers.filter((header) => !ordered.includes(header)),
+    ];
+    if (newHeaders.some((header, index) => header !== headers[index])) {
+      this._moveColumnsToOrder(sheet, headers, newHeaders);
+      changes.push(`${sheetName}: moved columns into schema order`);
+    }
+
+    this._clearCache(sheetName);
+    return changes;
+  }
+
+  /**
+   * Maps the error of a write to its status: 409 for schema drift, 400 for a ValidationError
+   * or when the message contains one of the validation fragments of the caller, 500 otherwise
+   * @private
+   * @param {Error} err - Caught error
+   * @param {string[]} validationErrors - Message fragments of the caller's validation errors
+   * @returns {number} HTTP-like status
+   */
+  _getWriteErrorStatus(err, validationErrors) {
+    if (err.message.includes("Schema drift")) return 409;
+    if (err instanceof ValidationError) return 400;
+    return validationErrors.some((fragment) => err.message.includes(fragment))
+      ? 400
+      : 500;
+  }
+
+  /**
+   * Moves columns into the given header order with sheet.moveColumns, so their cells keep
+   * formulas and formats
+   * @private
+   * @param {Sheet} sheet - Sheet to reorder
+   * @param {string[]} headers - Current headers
+   * @param {string[]} order - The same headers in the wanted order
+   */
+  _moveColumnsToOrder(sheet, headers, order) {
+    const current = headers.slice();
+    order.forEach((header, index) => {
+      const from = current.indexOf(header);
+      if (from === index) return;
+      sheet.moveColumns(
+        sheet.getRange(1, from + 1, sheet.getMaxRows(), 1),
+        index + 1
+      );
+      current.splice(from, 1);
+      current.splice(index, 0, header);
+    });
+  }
+
+  /**
+   * Refuses a write when the header row of the main sheet has drifted from the schema,
+   * values could otherwise end up in the wrong column
+   * @private
+   */
+  _assertNoSchemaDrift(tableName, headers) {
+    if (!this.tables[tableName]) return;
+    const drift = this._compareHeaders(
+      this._getExpectedHeaders(tableName, false),
+      headers,
+      false
+    );
+    if (drift.ok) return;
+
+    const details = ["missing", "extra", "reordered"]
+      .filter((kind) => drift[kind].length > 0)
+      .map((kind) => `${kind}: ${drift[kind].join(", ")}`)
+      .concat(
+        drift.misCased.length > 0
+          ? [`mis-cased: ${drift.misCased.map((c) => c.column).join(", ")}`]
+          : []
+      );
+    throw new Error(
+      `Schema drift in table "${tableName}" (${details.join(
+        "; "
+      )}), run db.verifySchema("${tableName}", { repair: true }) or a migration`
+    );
+  }
+
+  _getHistoryTableName(tableName) {
+    return (
+      (this.tableOptions[tableName] &&
+        this.tableOptions[tableName].historyTableName) ||
+      `DELETED_${tableName}`
+    );
+  }
+
+  /**
+   * Returns the hidden sheet that records the applied migration versions, creating it if needed
+   * @private
+   */
+  _getMigrationsSheet() {
+    let sheet = this._getSheet("_GASDB_MIGRATIONS");
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet("_GASDB_MIGRATIONS");
+      sheet.getRange(1, 1, 1, 3).setValues([["VERSION", "NAME", "APPLIED_AT"]]);
+      sheet.hideSheet();
+    }
+    return sheet;
+  }
+
+  _ensureColumn(sheet, header) {
+    if (!this._getHeaders(sheet).includes(header)) {
+      sheet.getRange(1, sheet.getLastColumn() + 1).setValue(header);
+    }
+  }
+
+  _isSoftDeleteTable(tableName) {
+    return !!(
+      this.tableOptions[tableName] && this.tableOptions[tableName].softDelete
+    );
+  }
+
+  _isVersionedTable(tableName) {
+    return !!(
+      this.tableOptions[tableName] && this.tableOptions[tableName].versioned
+    );
+  }
+
+  /**
+   * Increments the VERSION of a row in place, a blank version counts as 0
+   * @private
+   * @returns {number} Index of the VERSION column, -1 if the table is not versioned
+   */
+  _bumpVersion(tableName, headers, row) {
+    const index = this._isVersionedTable(tableName)
+      ? headers.indexOf("VERSION")
+      : -1;
+    if (index !== -1) row[index] = (Number(row[index]) || 0) + 1;
+    return index;
+  }
+
+  /**
+   * Compares the VERSION of a row with the version the caller last read
+   * @private
+   * @param {*} expectedVersion - options.expectedVersion, the check is skipped when undefined
+   * @returns {Object|null} A 409 response with the current record when the write is stale, null otherwise
+   */
+  _checkVersion(tableName, sheet, rowIndex, expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null) return null;
+    if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+      throw new ValidationError(
+        `Invalid expectedVersion: expected a non-negative integer, got ${JSON.stringify(
+          expectedVersion
+        )}`
+      );
+    }
+    if (!this._isVersionedTable(tableName)) {
+      throw new ValidationError(
+        `Invalid expectedVersion: table "${tableName}" is not versioned`
+      );
+    }
+
+    const record = this._readRecordAtRow(tableName, sheet, rowIndex);
+    const currentVersion = Number(record.version) || 0;
+    if (currentVersion === Number(expectedVersion)) return null;
+    return {
+      status: 409,
+      error: `Version conflict: record ${record.id} is at version ${currentVersion}, expected ${expectedVersion}`,
+      data: record,
+    };
+  }
+
+  /**
+   * Columns managed by the library that callers can't write directly
+   * @private
+   * @returns {string[]} Lowercased field names
+   */
+  _getSystemFields(tableName) {
+    return [
+      ...(this._isSoftDeleteTable(tableName) ? ["deleted_at"] : []),
+      ...(this._isVersionedTable(tableName) ? ["version"] : []),
+    ];
+  }
+
+  _isSoftDeleted(record) {
+    const deletedAt = record.deleted_at;
+    return deletedAt !== undefined && deletedAt !== null && deletedAt !== "";
+  }
+
+  /**
+   * Drops soft-deleted records unless options.withDeleted is set
+   * @private
+   */
+  _excludeSoftDeleted(tableName, records, options = {}) {
+    if (options.withDeleted || !this._isSoftDeleteTable(tableName)) {
+      return records;
+    }
+    return records.filter((record) => !this._isSoftDeleted(record));
+  }
+
+  _isRowSoftDeleted(tableName, sheet, rowIndex) {
+    if (!this._isSoftDeleteTable(tableName)) return false;
+    const index = this._getHeaders(sheet).indexOf("DELETED_AT");
+    if (index === -1) return false;
+    return this._isSoftDeleted({
+      deleted_at: sheet.getRange(rowIndex, index + 1).getValue(),
+    });
+  }
+
+  /**
+   * Marks a record of a soft-delete table as deleted
+   * @private
+   * @throws {Error} When the record doesn't exist or is already deleted
+   */
+  _softDeleteRecord(tableName, sheet, id, deletedAt = new Date()) {
+    const rowIndex = this._findRowById(sheet, id);
+    if (rowIndex === -1 || this._isRowSoftDeleted(tableName, sheet, rowIndex)) {
+      throw new Error(`Record with ID ${id} not found`);
+    }
+    this._markRowsDeleted(
+      sheet,
+      this._getHeaders(sheet),
+      [rowIndex],
+      deletedAt
+    );
+    this._clearCache(tableName);
+  }
+
+  /**
+   * Writes the deletion date in the DELETED_AT column, one call per block of consecutive rows
+   * @private
+   * @param {number[]} rowIndexes - Rows to mark (1-based), in ascending order
+   * @param {Date} [deletedAt] - Deletion date, shared by a record and the junction rows of its cascade
+   */
+  _markRowsDeleted(sheet, headers, rowIndexes, deletedAt = new Date()) {
+    const column = headers.indexOf("DELETED_AT") + 1;
+    if (column === 0) {
+      throw new Error(`Table "${sheet.getName()}" has no DELETED_AT column`);
+    }
+
+    let blockStart = 0;
+    for (let i = 1; i <= rowIndexes.length; i++) {
+      if (i < rowIndexes.length && rowIndexes[i] === rowIndexes[i - 1] + 1) {
+        continue;
+      }
+      sheet
+        .getRange(rowIndexes[blockStart], column, i - blockStart, 1)
+        .setValues(Array.from({ length: i - blockStart }, () => [deletedAt]));
+      blockStart = i;
+    }
+  }
+
+  _getHeaders(sheet) {
+    const rawHeaders = sheet
+      .getRange(1, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    // Ensure all headers are strings to prevent issues with .toLowerCase(), .endsWith(), etc.
+    return rawHeaders.map((header) => String(header));
+  }
+
+  _getSheet(name) {
+    return this.spreadsheet.getSheetByName(name);
+  }
+
+  _getNextId(sheet) {
+    const lastRow = sheet.getLastRow();
+    console.log(lastRow);
+    if (lastRow <= 1) return 1;
+
+    const idRange = sheet.getRange("A:A");
+    const lastId = idRange.getValues()[lastRow - 1][0];
+
+    const nextId = Math.max(lastRow, parseInt(lastId) + 1);
+    console.log("next id", nextId);
+    if (isNaN(nextId)) {
+      throw new Error(
+        "Next ID is not a number, please check the ID column in the sheet"
+      );
+    }
+    return nextId;
+  }
+
+  _getCachedData(key) {
+    const cached = this.cache.get(key);
+    return cached ? JSON.parse(cached) : null;
+  }
+
+  _setCachedData(key, data) {
+    console.log(
+      "[CACHE] trying to cache",
+      data.length,
+      " records in",
+      key,
+      "key"
+    );
+    try {
+      this.cache.put(key, JSON.stringify(data), 600);
+    } catch (e) {
+      console.log(
+        "[CACHE] tried to cache",
+        data.length,
+        " records in",
+        key,
+        "key, but got the error: ",
+        e.message
+      );
+      console.log("[WARNING] NO CACHE SET FOR ", key, " key");
+    }
+  }
+
+  _clearCache(tableName) {
+    this.cache.remove(`${tableName}_all`);
+  }
+
+  /**
+   * Handles cascade deletion of related records
+   * @private
+   * @param {string} tableName - Name of the parent table
+   * @param {number} id - ID of the record being deleted
+   * @param {Date} [deletedAt] - Deletion date of the record, used to mark rows of soft-delete junction tables
+   * @returns {Object} Status and count of deleted related records
+   */
+  _handleCascadeDelete(tableName, id, deletedAt = new Date()) {
+    try {
+      const sheets = this.spreadsheet.getSheets();
+      const tableBaseName = tableName.toLowerCase();
+
+      let deletedRelations = 0; // Track number of affected records
+      for (const sheet of sheets) {
+        const sheetName = sheet.getName();
+        if (!sheetName.includes("DELETED") && sheetName.includes("RELATION")) {
+          const junctionTableName = sheetName;
+          const junctionHistoryTableName = `DELETED_${sheetName}`;
+          const headers = this._getHeaders(sheet);
+          const fkFieldName = `${tableBaseName}_id`;
+
+          const fkIndex = headers.indexOf(fkFieldName.toUpperCase());
+
+          if (fkIndex !== -1 && this._isSoftDeleteTable(junctionTableName)) {
+            deletedRelations += this._softDeleteJunctionRows(
+              junctionTableName,
+              sheet,
+              fkIndex,
+              [id],
+              deletedAt
+            );
+          } else if (fkIndex !== -1) {
+            const response = this.deleteRelatedJunctionRecords(
+              junctionTableName,
+              junctionHistoryTableName,
+              fkIndex,
+              id,
+              `${tableName}:${id}`
+            );
+            if (response.status === 200) {
+              deletedRelations += response.count;
+            }
+          }
+        }
+      }
+      return {
+        status: 200,
+        message: `Cascade delete completed. Removed ${deletedRelations} related records`,
+      };
+    } catch (err) {
+      console.error("Cascade delete failed:", err);
+      throw err; // Propagate error to main delete operation
+    }
+  }
+
+  /**
+   * Cascade delete of many records at once: each junction table is read once, the rows
+   * pointing to any of the IDs are archived with a single setValues and deleted in blocks.
+   * The caller holds the write lock.
+   * @private
+   * @param {string} tableName - Name of the parent table
+   * @param {Array<number|string>} ids - IDs of the records being deleted
+   * @param {Date} [deletedAt] - Deletion date of the records, used to mark rows of soft-delete junction tables
+   * @returns {number} Number of removed junction records
+   */
+  _cascadeDeleteMany(tableName, ids, deletedAt = new Date()) {
+    const idSet = new Set(ids.map((id) => String(id)));
+    const fkHeader = `${tableName.toLowerCase()}_id`.toUpperCase();
+    let deletedRelations = 0;
+
+    for (const sheet of this.spreadsheet.getSheets()) {
+      const junctionTableName = sheet.getName();
+      if (
+        junctionTableName.includes("DELETED") ||
+        !junctionTableName.includes("RELATION")
+      ) {
+        continue;
+      }
+      const headers = this._getHeaders(sheet);
+      const fkIndex = headers.indexOf(fkHeader);
+      const lastRow = sheet.getLastRow();
+      if (fkIndex === -1 || lastRow <= 1) continue;
+      if (this._isSoftDeleteTable(junctionTableName)) {
+        deletedRelations += this._softDeleteJunctionRows(
+          junctionTableName,
+          sheet,
+          fkIndex,
+          ids,
+          deletedAt
+        );
+        continue;
+      }
+
+      const rows = sheet
+        .getRange(2, 1, lastRow - 1, headers.length)
+        .getValues();
+      const matchedRowIndexes = [];
+      rows.forEach((row, i) => {
+        if (idSet.has(String(row[fkIndex]))) matchedRowIndexes.push(i);
+      });
+      if (matchedRowIndexes.length === 0) continue;
+
+      const junctionHistoryTableName = `DELETED_${junctionTableName}`;
+      const historySheet = this._getSheet(junctionHistoryTableName);
+      if (!historySheet) {
+        throw new Error(
+          `Table '${junctionHistoryTableName}' not found when trying to delete related junction records`
+        );
+      }
+      const historyId = this._getNextId(historySheet);
+      const historyHeaders = this._getHistoryHeaders(historySheet);
+      // Sanitize rows to prevent CSV injection
+      const historyRows = matchedRowIndexes.map((rowIndex, offset) =>
+        this._sanitizeRow(
+          this._buildHistoryRow(
+            historyHeaders,
+            historyId + offset,
+            headers,
+            rows[rowIndex],
+            `${tableName}:${rows[rowIndex][fkIndex]}`
+          )
+        )
+      );
+      historySheet
+        .getRange(
+          historySheet.getLastRow() + 1,
+          1,
+          historyRows.length,
+          historyRows[0].length
+        )
+        .setValues(historyRows);
+
+      // Delete from the bottom up so the remaining row numbers stay valid
+      let blockEnd = matchedRowIndexes.length - 1;
+      for (let i = matchedRowIndexes.length - 2; i >= -1; i--) {
+        if (i >= 0 && matchedRowIndexes[i] === matchedRowIndexes[i + 1] - 1) {
+          continue;
+        }
+        sheet.deleteRows(matchedRowIndexes[i + 1] + 2, blockEnd - i);
+        blockEnd = i;
+      }
+
+      this._clearCache(junctionTableName);
+      this._clearCache(junctionHistoryTableName);
+      deletedRelations += matchedRowIndexes.length;
+    }
+    return deletedRelations;
+  }
+
+  /**
+   * Marks the rows of a soft-delete junction table pointing to any of the IDs as deleted,
+   * rows that are already marked keep their deletion date
+   * @private
+   * @returns {number} Number of marked junction records
+   */
+  _softDeleteJunctionRows(junctionTableName, sheet, fkIndex, ids, deletedAt) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return 0;
+    const idSet = new Set(ids.map((id) => String(id)));
+    const headers = this._getHeaders(sheet);
+    const deletedAtIndex = headers.indexOf("DELETED_AT");
+    const rowIndexes = [];
+    sheet
+      .getRange(2, 1, lastRow - 1, headers.length)
+      .getValues()
+      .forEach((row, i) => {
+        if (
+          idSet.has(String(row[fkIndex])) &&
+          !this._isSoftDeleted({ deleted_at: row[deletedAtIndex] })
+        ) {
+          rowIndexes.push(i + 2);
+        }
+      });
+    if (rowIndexes.length === 0) return 0;
+    this._markRowsDeleted(sheet, headers, rowIndexes, deletedAt);
+    this._clearCache(junctionTableName);
+    return rowIndexes.length;
+  }
+
+  /**
+   * Find the row index of a record by its ID
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to search in
+   * @param {number|string} id - The ID to search for
+   * @returns {number} The row index of the found ID, or -1 if not found
+   */
+  _findRowById(sheet, id) {
+    const idRange = sheet.getRange("A:A");
+    const searchResult = idRange
+      .createTextFinder(id.toString())
+      .matchEntireCell(true)
+      .matchCase(false)
+      .findNext();
+    return searchResult ? searchResult.getRow() : -1;
+  }
+
+  // _validateData(data, keyOrder) {
+  //   return keyOrder.every((key) => key in data);
+  // }
+
+  /**
+   * Validates that keyOrder includes all required fields from table schema
+   * @param {string} tableName - Name of the table
+   * @param {string[]} keyOrder - Array of field names provided
+   * @returns {Object} - Validation result with missing required fields
+   */
+  _validateKeyOrderCompleteness(tableName, keyOrder) {
+    const tableSchema = this.tables[tableName];
+    if (!tableSchema) {
+      return { isValid: true, missingRequiredFields: [] }; // No schema to validate against
+    }
+
+    const requiredFields = [];
+    for (const [fieldName, fieldDef] of Object.entries(tableSchema)) {
+      const hasDefault =
+        this._getDefaultValue(tableName, fieldName) !== undefined;
+      if (!hasDefault) {
+        requiredFields.push(fieldName);
+      }
+    }
+
+    const providedFields = keyOrder.map((key) => String(key).toLowerCase());
+    const missingRequiredFields = requiredFields.filter(
+      (field) => !providedFields.includes(field.toLowerCase())
+    );
+    const isValid = missingRequiredFields.length === 0;
+
+    return { isValid, missingRequiredFields, requiredFields };
+  }
+
+  /**
+   * Validates that all required keys are present in the data object.
+   * @param {Object} data - The data object to validate.
+   * @param {string[]} keyOrder - An array of required keys.
+   * @param {string} [context] - Optional context for error messages.
+   * @returns {Object} - An object containing validation status and missing keys.
+   */
+  _validateData(tableName, data, keyOrder, context = "") {
+    // First validate that keyOrder is complete
+    const keyOrderValidation = this._validateKeyOrderCompleteness(
+      tableName,
+      keyOrder
+    );
+    if (!keyOrderValidation.isValid) {
+      throw new Error(
+        `Incomplete keyOrder: Missing required fields [${keyOrderValidation.missingRequiredFields.join(
+          ", "
+        )}] ${context}. Required fields are: [${keyOrderValidation.requiredFields.join(
+          ", "
+        )}]`
+      );
+    }
+
+    // Then validate that data contains all keys from keyOrder
+    const missingKeys = keyOrder.filter((key) => {
+      const isMissing = !(key in data);
+      if (!isMissing) return false;
+      const defaultValue = this._getDefaultValue(tableName, key);
+      return defaultValue ? false : true; // only flag missing if no default
+    });
+    const isValid = missingKeys.length === 0;
+    return { isValid, missingKeys, context };
+  }
+
+  /**
+   * @param {*} value - Value to check
+   * @param {string} expectedType - Field type
+   * @param {Object} [definition] - Normalized field definition, holds the precision/scale, values and items options
+   * @returns {boolean} Whether the value is valid for the type
+   */
+  _checkType(value, expectedType, definition) {
+    expectedType = expectedType.trim();
+    definition = definition || {};
+    switch (expectedType) {
+      case "number":
+        return typeof value === "number" && !isNaN(value);
+      case "string":
+        return typeof value === "string";
+      case "boolean":
+        return typeof value === "boolean";
+      case "date":
+        // console.log("chequeo de tipo date", value instanceof Date)
+        console.log(
+          "chequeo de que getTime() es un numero",
+          value instanceof Date && !isNaN(value.getTime())
+        );
+        console.log(
+          "chequeo de que es tipo date por otro metodo",
+          Object.prototype.toString.call(value) === "[object Date]"
+        );
+        return (
+          Object.prototype.toString.call(value) === "[object Date]" &&
+          !isNaN(value.getTime())
+        );
+      case "integer":
+        return Number.isInteger(value);
+      case "decimal":
+        return (
+          typeof value === "number" &&
+          isFinite(value) &&
+          this._fitsDecimal(value, definition.precision, definition.scale)
+        );
+      case "enum":
+        return (definition.values || []).includes(value);
+      case "email":
+        return (
+          typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+        );
+      case "url":
+        return (
+          typeof value === "string" && /^https?:\/\/[^\s/]+\S*$/i.test(value)
+        );
+      case "json":
+        try {
+          return JSON.stringify(value) !== undefined;
+        } catch (err) {
+          return false;
+        }
+      case "array":
+        return (
+          Array.isArray(value) &&
+          (!definition.items ||
+            value.every((item) => this._checkType(item, definition.items)))
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Checks the digits of a number against a decimal precision (total digits) and scale (digits after the point)
+   * @private
+   */
+  _fitsDecimal(value, precision, scale) {
+    let text = String(Math.abs(value));
+    if (text.includes("e")) {
+      // 1e-7 and the like: write the digits out
+      const [mantissa, exponent] = text.split("e");
+      const mantissaDecimals = (mantissa.split(".")[1] || "").length;
+      text = Math.abs(value).toFixed(
+        Math.min(100, Math.max(0, mantissaDecimals - Number(exponent)))
+      );
+    }
+    const [integerPart, fraction = ""] = text.split(".");
+    const integerDigits = integerPart === "0" ? 0 : integerPart.length;
+    if (scale !== undefined && fraction.length > scale) return false;
+    if (precision !== undefined) {
+      if (integerDigits > precision - (scale || 0)) return false;
+      if (integerDigits + fraction.length > precision) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Normalize incoming schema field definitions to { type, default? }
+   * @param {Object} fields
+   * @returns {Object}
+   */
+  _normalizeSchemaFields(fields) {
+    const normalized = {};
+    const VALID_TYPES = DB.FIELD_TYPES;
+    const validTypesList = VALID_TYPES.join(", ");
+    for (const [fieldName, definition] of Object.entries(fields || {})) {
+      if (typeof definition === "string") {
+        const typeValue = definition.trim();
+        if (!VALID_TYPES.includes(typeValue)) {
+          throw new ValidationError(
+            `Invalid type "${typeValue}" for field "${fieldName}". Valid types are: ${validTypesList}`
+          );
+        }
+        if (typeValue === "enum") {
+          throw new ValidationError(
+            `Invalid value for 'values' on field "${fieldName}". Enum fields need { type: "enum", values: [...] }`
+          );
+        }
+        normalized[fieldName] = { type: typeValue };
+      } else if (definition && typeof definition === "object") {
+        const typeValue =
+          typeof definition.type === "string" ? definition.type.trim() : "";
+        if (!typeValue) {
+          throw new ValidationError(
+            `Missing required 'type' for field "${fieldName}". Valid types are: ${validTypesList}`
+          );
+        }
+        if (!VALID_TYPES.includes(typeValue)) {
+          throw new ValidationError(
+            `Invalid type "${typeValue}" for field "${fieldName}". Valid types are: ${validTypesList}`
+          );
+        }
+        const norm = {
+          type: typeValue,
+          ...this._normalizeTypeOptions(fieldName, typeValue, definition),
+        };
+        if (Object.prototype.hasOwnProperty.call(definition, "default")) {
+          norm.default = definition.default;
+        }
+        // Optional behavior flags
+        if (
+          Object.prototype.hasOwnProperty.call(definition, "treatNullAsMissing")
+        ) {
+          if (typeof definition.treatNullAsMissing !== "boolean") {
+            throw new ValidationError(
+              `Invalid value for 'treatNullAsMissing' on field "${fieldName}". Expected boolean.`
+            );
+          }
+          norm.treatNullAsMissing = definition.treatNullAsMissing;
+        }
+        if (
+          Object.prototype.hasOwnProperty.call(
+            definition,
+            "treatEmptyStringAsMissing"
+          )
+        ) {
+          if (typeof definition.treatEmptyStringAsMissing !== "boolean") {
+            throw new ValidationError(
+              `Invalid value for 'treatEmptyStringAsMissing' on field "${fieldName}". Expected boolean.`
+            );
+          }
+          norm.treatEmptyStringAsMissing = definition.treatEmptyStringAsMissing;
+        }
+        normalized[fieldName] = norm;
+      } else {
+        throw new ValidationError(
+          `Invalid schema definition for field "${fieldName}". Expected string or { type, default? }`
+        );
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Validates the options of the types that take some: precision/scale for decimal,
+   * values for enum and items for array
+   * @private
+   * @returns {Object} The options to keep in the normalized definition
+   */
+  _normalizeTypeOptions(fieldName, type, definition) {
+    const options = {};
+    if (type === "decimal") {
+      for (const key of ["precision", "scale"]) {
+        if (definition[key] === undefined) continue;
+        if (!Number.isInteger(definition[key]) || definition[key] < 0) {
+          throw new ValidationError(
+            `Invalid value for '${key}' on field "${fieldName}". Expected a non-negative integer.`
+          );
+        }
+        options[key] = definition[key];
+      }
+      if (
+        options.precision !== undefined &&
+        options.scale !== undefined &&
+        options.scale > options.precision
+      ) {
+        throw new ValidationError(
+          `Invalid value for 'scale' on field "${fieldName}". It cannot be greater than precision.`
+        );
+      }
+    }
+    if (type === "enum") {
+      if (
+        !Array.isArray(definition.values) ||
+        definition.values.length === 0 ||
+        !definition.values.every((value) => typeof value === "string")
+      ) {
+        throw new ValidationError(
+          `Invalid value for 'values' on field "${fieldName}". Expected a non-empty array of strings.`
+        );
+      }
+      options.values = [...definition.values];
+    }
+    if (type === "array" && definition.items !== undefined) {
+      if (!DB.ARRAY_ITEM_TYPES.includes(definition.items)) {
+        throw new ValidationError(
+          `Invalid value for 'items' on field "${fieldName}". Valid item types are: ${DB.ARRAY_ITEM_TYPES.join(
+            ", "
+          )}`
+        );
+      }
+      options.items = definition.items;
+    }
+    return options;
+  }
+
+  _getFieldDefinition(tableName, key) {
+    const tableDef = this.tables?.[tableName];
+    if (!tableDef) return null;
+    const def = tableDef[key] ?? tableDef[String(key).toLowerCase()];
+    if (def == null) return null;
+    if (typeof def === "string") return { type: def.trim() };
+    if (typeof def === "object") return def;
+    return null;
+  }
+
+  _getExpectedType(tableName, key) {
+    const def = this._getFieldDefinition(tableName, key);
+    return def?.type || null;
+  }
+
+  _getDefaultValue(tableName, key) {
+    const def = this._getFieldDefinition(tableName, key);
+    if (!def || !Object.prototype.hasOwnProperty.call(def, "default")) {
+      return undefined;
+    }
+
+    const defaultValue = def.default;
+
+    // Handle special default values
+    if (defaultValue === "now") {
+      return new Date();
+    }
+
+    return defaultValue;
+  }
+
+  /**
+   * Apply default values to missing fields (undefined only).
+   * Does not override explicit null or empty string values.
+   * @param {string} tableName
+   * @param {Object} data
+   * @param {string[]} keyOrder
+   * @returns {{ data: Object, appliedDefaults: Array<{key: string, value: any}> }}
+   */
+  _applyDefaults(tableName, data, keyOrder) {
+    const result = { ...data };
+    const appliedDefaults = [];
+    for (const key of keyOrder) {
+      const currentValue = result[key];
+      const fieldDef = this._getFieldDefinition(tableName, key) || {};
+      const treatNullAsMissing = !!fieldDef.treatNullAsMissing;
+      const treatEmptyStringAsMissing = !!fieldDef.treatEmptyStringAsMissing;
+
+      const isConsideredMissing =
+        currentValue === undefined ||
+        (currentValue === null && treatNullAsMissing) ||
+        (currentValue === "" && treatEmptyStringAsMissing);
+
+      if (isConsideredMissing) {
+        const defVal = this._getDefaultValue(tableName, key);
+        if (defVal !== undefined) {
+          // Coalesce null defaults to empty string to preserve prior blank behavior
+          result[key] = defVal === null ? "" : defVal;
+          appliedDefaults.push({ key, value: defVal });
+        }
+      }
+    }
+    return { data: result, appliedDefaults };
+  }
+
+  /**
+   * Validates type checking with detailed logging
+   * @private
+   * @param {*} value - Value to check
+   * @param {string} expectedType - Expected type of the value
+   * @returns {boolean} Whether the value matches the expected type
+   */
+  _checkTypeWithLogs(value, expectedType, definition) {
+    console.log("\n[TYPE CHECK] Starting type check:", {
+      value,
+      expectedType,
+      actualType: typeof value,
+      isNull: value === null,
+      isUndefined: value === undefined,
+    });
+
+    switch (expectedType) {
+      case "number":
+        const isNumber = typeof value === "number" && !isNaN(value);
+        console.log("[NUMBER CHECK]", {
+          value,
+          isTypeNumber: typeof value === "number",
+          isNotNaN: !isNaN(value),
+          finalResult: isNumber,
+        });
+        return isNumber;
+
+      case "string":
+        const isString = typeof value === "string";
+        console.log("[STRING CHECK]", {
+          value,
+          isTypeString: isString,
+          valueLength: value?.length,
+        });
+        return isString;
+
+      case "boolean":
+        const isBoolean = typeof value === "boolean";
+        console.log("[BOOLEAN CHECK]", {
+          value,
+          isTypeBoolean: isBoolean,
+          isTruthy: !!value,
+        });
+        return isBoolean;
+
+      case "date":
+        try {
+          console.log("[DATE CHECK] Initial value:", {
+            value,
+            isDate: value instanceof Date,
+            prototype: Object.prototype.toString.call(value),
+          });
+
+          // Check if it's a Date object
+          const isDateObject =
+            Object.prototype.toString.call(value) === "[object Date]";
+          console.log("[DATE CHECK] Is Date object:", isDateObject);
+
+          // Try to get timestamp (will throw if not a valid date)
+          let hasValidTimestamp = false;
           try {
             hasValidTimestamp = !isNaN(value.getTime());
             console.log("[DATE CHECK] Timestamp check:", {
               timestamp: value.getTime(),
               isValid: hasValidTimestamp,
             });
-          } catch (e) {
-            console.error("[DATE CHECK] Failed to get timestamp:", e.message);
+          } catch (e) {
+            console.error("[DATE CHECK] Failed to get timestamp:", e.message);
+          }
+
+          const isValidDate = isDateObject && hasValidTimestamp;
+          console.log("[DATE CHECK] Final result:", {
+            isDateObject,
+            hasValidTimestamp,
+            isValid: isValidDate,
+          });
+
+          return isValidDate;
+        } catch (err) {
+          console.error("[DATE CHECK] Error during date validation:", {
+            error: err.message,
+            stack: err.stack,
+          });
+          return false;
+        }
+
+      default:
+        // the richer types have no verbose variant
+        return this._checkType(value, expectedType, definition);
+    }
+  }
+
+  _checkValidCreationTypes(tableFields) {
+    if (tableFields) {
+      this._normalizeSchemaFields(tableFields);
+    }
+  }
+
+  _getFieldIndex(tableName, fieldName) {
+    const table = this._getSheet(tableName);
+    if (!table) {
+      throw new Error(`Table '${tableName}' not found`);
+    }
+
+    const headers = this._getHeaders(table);
+    const fieldIndex = headers.findIndex(
+      (header) => header.toLowerCase() === fieldName.toLowerCase()
+    );
+
+    return fieldIndex;
+  }
+
+  /**
+   * Builds the record stored at a row, honoring the select/fields projection
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Sheet of the table
+   * @param {number} rowIndex - Row of the record (1-based)
+   * @param {Object} [options={}] - Read options
+   * @returns {Object} The record
+   */
+  _readRecordAtRow(tableName, sheet, rowIndex, options = {}) {
+    const headers = this._getHeaders(sheet);
+
+    const projection = this._getProjectionOption(options);
+    if (projection) {
+      const columns = this._resolveProjection(tableName, headers, projection);
+      const values = this._readColumns(sheet, rowIndex, 1, columns)[0];
+      return this._deserializeRecords(tableName, [
+        this._columnsToRecord(columns, values),
+      ])[0];
+    }
+
+    const row = sheet
+      .getRange(rowIndex, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    const record = headers.reduce((acc, header, index) => {
+      acc[header.toLowerCase()] = row[index];
+      return acc;
+    }, {});
+    return this._deserializeRecords(tableName, [record])[0];
+  }
+
+  /**
+   * Finds the first row matching every criterion. TextFinder narrows the rows down on a
+   * string column when there is one, then each candidate is compared field by field using
+   * the schema types. Without a string criterion the criteria columns are scanned.
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Sheet of the table
+   * @param {Object} criteria - Map of field to expected value
+   * @param {boolean} [withDeleted=false] - Whether soft-deleted rows can match
+   * @returns {number} The row index (1-based), or -1 if nothing matches
+   */
+  _findRowByCriteria(tableName, sheet, criteria, withDeleted = false) {
+    const headers = this._getHeaders(sheet);
+    const conditions = Object.entries(criteria).map(([rawField, value]) => {
+      const field = String(rawField).toLowerCase();
+      const type = this._getColumnType(tableName, field);
+      if (this.tables[tableName] && !type) {
+        throw new ValidationError(
+          `Invalid criteria: field '${field}' does not exist in table "${tableName}"`
+        );
+      }
+      if (
+        type &&
+        value !== null &&
+        value !== "" &&
+        !this._checkType(value, type)
+      ) {
+        throw new Error(
+          `Type mismatch for field '${field}'. Expected ${type}, got ${typeof value}`
+        );
+      }
+      const index = headers.findIndex(
+        (header) => header.toLowerCase() === field
+      );
+      if (index === -1) {
+        throw new ValidationError(
+          `Invalid criteria: column '${field}' not found in table "${tableName}"`
+        );
+      }
+      return {
+        field,
+        type,
+        index,
+        expected: this._normalizeForCompare(value, type),
+        value,
+      };
+    });
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return -1;
+
+    // TextFinder matches the displayed text: number formats (currency, decimals, separators)
+    // and dates don't show their stored value, so only string criteria can drive it
+    const searchable = conditions.find(
+      (condition) =>
+        condition.type === "string" &&
+        typeof condition.value === "string" &&
+        condition.value !== ""
+    );
+
+    let candidateRows;
+    if (searchable) {
+      candidateRows = sheet
+        .getRange(2, searchable.index + 1, lastRow - 1, 1)
+        .createTextFinder(String(searchable.value))
+        .matchEntireCell(true)
+        .matchCase(false)
+        .findAll()
+        .map((range) => range.getRow())
+        .sort((a, b) => a - b);
+      if (candidateRows.length === 0) return -1;
+    }
+
+    const excludeDeleted = !withDeleted && this._isSoftDeleteTable(tableName);
+    const columns = this._resolveProjection(
+      tableName,
+      headers,
+      conditions.map((condition) => condition.field),
+      excludeDeleted ? ["deleted_at"] : []
+    );
+    // Candidates are read one row at a time, without them the criteria columns are read whole
+    const values = candidateRows
+      ? null
+      : this._readColumns(sheet, 2, lastRow - 1, columns);
+    const rowsToCheck =
+      candidateRows || Array.from({ length: lastRow - 1 }, (_, i) => i + 2);
+
+    for (const rowIndex of rowsToCheck) {
+      const rowValues = values
+        ? values[rowIndex - 2]
+        : this._readColumns(sheet, rowIndex, 1, columns)[0];
+      const record = this._columnsToRecord(columns, rowValues);
+      if (excludeDeleted && this._isSoftDeleted(record)) continue;
+      const matches = conditions.every(
+        (condition) =>
+          this._normalizeForCompare(record[condition.field], condition.type) ===
+          condition.expected
+      );
+      if (matches) return rowIndex;
+    }
+    return -1;
+  }
+
+  /**
+   * Loads related records for `include` and stitches them into nested arrays.
+   * Each related table is read once for all the parent records.
+   * @private
+   * @param {string} tableName - Table of the parent records
+   * @param {Object[]} records - Parent records, modified in place
+   * @param {Object} include - Map of related table name to
+   *   { foreignKey?, through?, sourceKey?, targetKey?, as?, where?, sortBy?, sortOrder?, include? }
+   * @param {Object} options - Read options (includeDepth, useCache)
+   * @param {number} [depth=1] - Current nesting level
+   * @returns {Object[]} The parent records
+   */
+  _attachIncludes(tableName, records, include, options, depth = 1) {
+    const maxDepth =
+      options.includeDepth !== undefined
+        ? options.includeDepth
+        : this.maxIncludeDepth;
+    if (depth > maxDepth) {
+      throw new ValidationError(
+        `Invalid include: nesting is limited to ${maxDepth} levels`
+      );
+    }
+    if (!include || typeof include !== "object" || Array.isArray(include)) {
+      throw new ValidationError(
+        "Invalid include: expected an object of related tables"
+      );
+    }
+    if (records.length === 0) return records;
+
+    const useCache = options.useCache !== false;
+    const parentIds = records.map((record) => record.id);
+    for (const [relatedTable, rawSpec] of Object.entries(include)) {
+      const spec = rawSpec === true ? {} : rawSpec || {};
+      const key = spec.as || relatedTable.toLowerCase();
+      const grouped = spec.through
+        ? this._loadThroughInclude(
+            tableName,
+            relatedTable,
+            spec,
+            parentIds,
+            useCache
+          )
+        : this._loadHasManyInclude(
+            tableName,
+            relatedTable,
+            spec,
+            parentIds,
+            useCache
+          );
+
+      if (spec.include) {
+        const related = [].concat(...Array.from(grouped.values()));
+        this._attachIncludes(
+          relatedTable,
+          related,
+          spec.include,
+          options,
+          depth + 1
+        );
+      }
+      for (const record of records) {
+        record[key] = grouped.get(Number(record.id)) || [];
+      }
+    }
+    return records;
+  }
+
+  /**
+   * One-to-many include: rows of the related table whose foreign key points to a parent
+   * @private
+   * @returns {Map<number, Object[]>} Related records grouped by parent ID
+   */
+  _loadHasManyInclude(tableName, relatedTable, spec, parentIds, useCache) {
+    const foreignKey =
+      spec.foreignKey || this._getRelationField(relatedTable, tableName);
+    const result = this._getAllOrThrow(
+      relatedTable,
+      {
+        where: this._combineWhere(
+          { [foreignKey]: { in: parentIds } },
+          spec.where
+        ),
+        sortBy: spec.sortBy,
+        sortOrder: spec.sortOrder,
+      },
+      useCache
+    );
+
+    const grouped = new Map();
+    for (const record of result) {
+      const parentId = Number(record[foreignKey]);
+      if (!grouped.has(parentId)) grouped.set(parentId, []);
+      grouped.get(parentId).push(record);
+    }
+    return grouped;
+  }
+
+  /**
+   * Many-to-many include through a junction table, each related record carries its
+   * junction row under `relationship` like getJunctionRecords does
+   * @private
+   * @returns {Map<number, Object[]>} Related records grouped by parent ID
+   */
+  _loadThroughInclude(tableName, relatedTable, spec, parentIds, useCache) {
+    const sourceKey =
+      spec.sourceKey || this._getRelationField(spec.through, tableName);
+    const targetKey =
+      spec.targetKey || this._getRelationField(spec.through, relatedTable);
+    const junctionRecords = this._getAllOrThrow(
+      spec.through,
+      { where: { [sourceKey]: { in: parentIds } } },
+      useCache
+    );
+
+    const grouped = new Map();
+    if (junctionRecords.length === 0) return grouped;
+
+    const targetIds = Array.from(
+      new Set(junctionRecords.map((record) => record[targetKey]))
+    );
+    const targets = this._getAllOrThrow(
+      relatedTable,
+      {
+        where: this._combineWhere({ id: { in: targetIds } }, spec.where),
+        sortBy: spec.sortBy,
+        sortOrder: spec.sortOrder,
+      },
+      useCache
+    );
+    const junctionsByTarget = new Map();
+    for (const junctionRecord of junctionRecords) {
+      const targetId = Number(junctionRecord[targetKey]);
+      if (!junctionsByTarget.has(targetId)) junctionsByTarget.set(targetId, []);
+      junctionsByTarget.get(targetId).push(junctionRecord);
+    }
+
+    // Walk the targets so the order requested with sortBy is kept
+    for (const target of targets) {
+      const targetJunctions = junctionsByTarget.get(Number(target.id)) || [];
+      for (const junctionRecord of targetJunctions) {
+        const parentId = Number(junctionRecord[sourceKey]);
+        if (!grouped.has(parentId)) grouped.set(parentId, []);
+        grouped.get(parentId).push({ ...target, relationship: junctionRecord });
+      }
+    }
+    return grouped;
+  }
+
+  /**
+   * Field of a table pointing to another table, taken from the relations of its config,
+   * or <target table in lowercase>_id when no relation is declared
+   * @private
+   */
+  _getRelationField(tableName, targetTable) {
+    const relations =
+      (this.tableOptions[tableName] &&
+        this.tableOptions[tableName].relations) ||
+      {};
+    const field = Object.keys(relations).find(
+      (key) => relations[key] === targetTable
+    );
+    return field || `${targetTable.toLowerCase()}_id`;
+  }
+
+  /**
+   * Reads a related table for include. Only a 400 of the underlying getAll (a bad where or
+   * sortBy in the include spec) is reported as an invalid include, other failures such as a
+   * missing table keep their 500.
+   * @private
+   */
+  _getAllOrThrow(tableName, options, useCache) {
+    const result = this.getAll(tableName, options, useCache);
+    if (result.status === 400) {
+      throw new ValidationError(
+        `Invalid include "${tableName}": ${result.error}`
+      );
+    }
+    if (result.status !== 200) {
+      throw new Error(
+        `Could not read "${tableName}" for include: ${result.error}`
+      );
+    }
+    return result.data;
+  }
+
+  _combineWhere(where, extraWhere) {
+    return extraWhere ? { and: [where, extraWhere] } : where;
+  }
+
+  /**
+   * Returns the projection requested in read options (`select`, or its alias `fields`)
+   * @private
+   * @param {Object} options - Read options
+   * @returns {string[]|null} Requested fields, or null when every column is wanted
+   */
+  _getProjectionOption(options) {
+    const projection = (options && (options.select || options.fields)) || null;
+    if (projection && (!Array.isArray(projection) || projection.length === 0)) {
+      throw new ValidationError(
+        "Invalid select: expected a non-empty array of fields"
+      );
+    }
+    return projection;
+  }
+
+  /**
+   * Resolves the sheet columns backing a projection. `id` is always included.
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {string[]} headers - Header row of the sheet
+   * @param {string[]} fields - Requested fields, unknown ones are rejected
+   * @param {string[]} [extraFields=[]] - Fields needed internally (filters, sorting), unknown ones are skipped
+   * @returns {Array<{name: string, index: number}>} Columns sorted by their zero-based index
+   */
+  _resolveProjection(tableName, headers, fields, extraFields = []) {
+    const lowerHeaders = headers.map((header) => header.toLowerCase());
+    const columns = new Map([[0, lowerHeaders[0]]]);
+
+    for (const field of fields) {
+      const index = lowerHeaders.indexOf(String(field).toLowerCase());
+      if (index === -1) {
+        throw new ValidationError(
+          `Invalid select: field '${field}' does not exist in table "${tableName}"`
+        );
+      }
+      columns.set(index, lowerHeaders[index]);
+    }
+    for (const field of extraFields) {
+      const index = lowerHeaders.indexOf(String(field).toLowerCase());
+      if (index !== -1) columns.set(index, lowerHeaders[index]);
+    }
+
+    return Array.from(columns.entries())
+      .map(([index, name]) => ({ name, index }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Reads only the given columns of a block of rows.
+   * Each run of adjacent columns is fetched with a single getRange call.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Sheet to read from
+   * @param {number} startRow - First row to read (1-based)
+   * @param {number} numRows - Number of rows to read
+   * @param {Array<{name: string, index: number}>} columns - Columns from _resolveProjection
+   * @returns {Array[]} One array per row, with the values in the order of `columns`
+   */
+  _readColumns(sheet, startRow, numRows, columns) {
+    const rows = Array.from({ length: numRows }, () => []);
+    let start = 0;
+    while (start < columns.length) {
+      let end = start;
+      while (
+        end + 1 < columns.length &&
+        columns[end + 1].index === columns[end].index + 1
+      ) {
+        end++;
+      }
+      const values = sheet
+        .getRange(startRow, columns[start].index + 1, numRows, end - start + 1)
+        .getValues();
+      values.forEach((row, rowIndex) => rows[rowIndex].push(...row));
+      start = end + 1;
+    }
+    return rows;
+  }
+
+  _columnsToRecord(columns, values) {
+    return columns.reduce((acc, column, index) => {
+      acc[column.name] = values[index];
+      return acc;
+    }, {});
+  }
+
+  _projectRecord(record, fields) {
+    const projected = { id: record.id };
+    for (const field of fields) {
+      const key = String(field).toLowerCase();
+      projected[key] = record[key];
+    }
+    return projected;
+  }
+
+  /**
+   * Lists the fields referenced by a where clause
+   * @private
+   * @param {Object} [where] - Where clause
+   * @returns {string[]} Field names
+   */
+  _collectWhereFields(where) {
+    if (!where || typeof where !== "object") return [];
+    const fields = [];
+    for (const [key, condition] of Object.entries(where)) {
+      if (key === "and" || key === "or") {
+        (Array.isArray(condition) ? condition : []).forEach((sub) =>
+          fields.push(...this._collectWhereFields(sub))
+        );
+      } else if (key === "not") {
+        fields.push(...this._collectWhereFields(condition));
+      } else {
+        fields.push(key);
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Sorts records with the shared sort engine used by getAll and the getRelatedRecords family
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {Object[]} records - Records to sort
+   * @param {Object} options - sortBy (string or [{ field, order, nulls }]), sortOrder and collation
+   * @param {string} successMessage - Message prefix used when the sort is applied
+   * @returns {{data: Object[], spec: Object[], message: string}} Sorted copy of the records
+   */
+  _sortRecords(tableName, records, options, successMessage) {
+    const { spec, applied, ignored } = this._buildSortSpec(tableName, options);
+    const notFound = `'${ignored.join("', '")}' not found in table schema.`;
+
+    if (applied.length === 0) {
+      return {
+        data: records,
+        spec,
+        message: `Warning: Sorting not applied. Field ${notFound}`,
+      };
+    }
+
+    const compareKeys = this._buildKeyComparator(spec, options);
+    const data = records
+      .map((record) => ({ record, key: this._getSortKey(record, spec) }))
+      .sort((a, b) => compareKeys(a.key, b.key))
+      .map((item) => item.record);
+
+    let message = `${successMessage} by '${applied.join("', '")}'`;
+    if (ignored.length > 0) message += `. Warning: ignored field ${notFound}`;
+    return { data, spec, message };
+  }
+
+  /**
+   * Normalizes the sortBy option into a sort spec. A legacy string sortBy uses options.sortOrder.
+   * ID is appended as a final tie-breaker so the ordering is total and stable.
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {Object} options - Sort options
+   * @returns {{spec: Object[], applied: string[], ignored: string[]}}
+   *   spec entries are { field, type, direction, nulls }; fields not in the schema are ignored
+   */
+  _buildSortSpec(tableName, options = {}) {
+    const SORTABLE_TYPES = ["number", "string", "boolean", "date"];
+    const entries = !options.sortBy
+      ? []
+      : Array.isArray(options.sortBy)
+      ? options.sortBy
+      : [
+          {
+            field: options.sortBy,
+            order: options.sortOrder === "desc" ? "desc" : "asc",
+          },
+        ];
+
+    const spec = [];
+    const applied = [];
+    const ignored = [];
+    for (const entry of entries) {
+      const item = typeof entry === "string" ? { field: entry } : entry;
+      if (!item || !item.field) {
+        throw new ValidationError("Invalid sortBy: every entry needs a field");
+      }
+      const order = item.order || "asc";
+      const nulls = item.nulls || "last";
+      if (!["asc", "desc"].includes(order)) {
+        throw new ValidationError(
+          `Invalid sortBy: order for '${item.field}' must be 'asc' or 'desc'`
+        );
+      }
+      if (!["first", "last"].includes(nulls)) {
+        throw new ValidationError(
+          `Invalid sortBy: nulls for '${item.field}' must be 'first' or 'last'`
+        );
+      }
+
+      const field = String(item.field).toLowerCase();
+      const type = this._getColumnType(tableName, field);
+      if (!type) {
+        ignored.push(field);
+        continue;
+      }
+      if (!SORTABLE_TYPES.includes(type)) {
+        throw new ValidationError(
+          `Invalid sortBy: ${type} field '${field}' cannot be sorted`
+        );
+      }
+      spec.push({ field, type, direction: order === "desc" ? -1 : 1, nulls });
+      applied.push(field);
+    }
+
+    if (!applied.includes("id")) {
+      spec.push({
+        field: "id",
+        type: "number",
+        direction: spec.length > 0 ? spec[0].direction : 1,
+        nulls: "last",
+      });
+    }
+    return { spec, applied, ignored };
+  }
+
+  _getSortKey(record, spec) {
+    return spec.map((entry) =>
+      this._normalizeForCompare(
+        entry.get ? entry.get(record) : record[entry.field],
+        entry.type
+      )
+    );
+  }
+
+  /**
+   * Builds a comparator for sort keys produced by _getSortKey.
+   * Blank cells are placed according to `nulls`, regardless of the sort direction.
+   * @private
+   * @param {Object[]} spec - Sort spec from _buildSortSpec
+   * @param {Object} [options={}] - Sort options
+   * @param {Object} [options.collation] - { locale, caseSensitive } used for string fields
+   * @returns {function(Array, Array): number}
+   */
+  _buildKeyComparator(spec, options = {}) {
+    const collation = options.collation || {};
+    const collator = new Intl.Collator(collation.locale || undefined, {
+      sensitivity: collation.caseSensitive === false ? "accent" : "variant",
+    });
+
+    return (a, b) => {
+      for (let i = 0; i < spec.length; i++) {
+        const { type, direction, nulls } = spec[i];
+        const x = a[i];
+        const y = b[i];
+        if (x === null || y === null) {
+          if (x === y) continue;
+          return (x === null) === (nulls === "first") ? -1 : 1;
+        }
+
+        let result;
+        switch (type) {
+          case "string":
+            result = collator.compare(x, y);
+            break;
+          case "boolean":
+            // true sorts before false in ascending order
+            result = x === y ? 0 : x ? -1 : 1;
+            break;
+          default:
+            result = x < y ? -1 : x > y ? 1 : 0;
+        }
+        if (result !== 0) return result * direction;
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Applies page or cursor (keyset) pagination to records that are already filtered and sorted.
+   * Pages keep the order of the records. In cursor mode records are ordered by the sort fields
+   * plus ID, so a cursor keeps pointing at the same position while rows are appended to the sheet.
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {Object[]} records - Filtered records
+   * @param {Object} options - page/pageSize or cursor/pageSize, plus the sort options.
+   *   Pass `cursor: null` to request the first page in cursor mode.
+   * @param {Object[]} [sortSpec] - Spec used instead of the sort options, its entries may read
+   *   their value with get(record)
+   * @returns {{data: Object[], metadata: Object, message: string}|null} null when no pagination was requested
+   */
+  _paginate(tableName, records, options = {}, sortSpec = null) {
+    const cursorMode = options.cursor !== undefined;
+    if (!cursorMode && !(options.page && options.pageSize)) return null;
+
+    const page = cursorMode ? 1 : parseInt(options.page);
+    const pageSize = parseInt(options.pageSize);
+    if (isNaN(page) || isNaN(pageSize) || page < 1 || pageSize < 1) {
+      throw new ValidationError("Invalid pagination parameters");
+    }
+
+    const spec = sortSpec || this._buildSortSpec(tableName, options).spec;
+    const signature = spec
+      .map((entry) => `${entry.field}:${entry.direction}:${entry.nulls}`)
+      .join(",");
+    const compareKeys = this._buildKeyComparator(spec, options);
+    const sorted = records.map((record) => ({
+      record,
+      key: this._getSortKey(record, spec),
+    }));
+    // Keyset lookups need the ID tie-breaker; records sorted by _sortRecords are already
+    // in key order, so this is close to linear
+    if (cursorMode) sorted.sort((a, b) => compareKeys(a.key, b.key));
+
+    let start = (page - 1) * pageSize;
+    if (cursorMode && options.cursor) {
+      const cursor = this._decodeCursor(options.cursor, signature);
+      if (cursor.direction === "after") {
+        start = sorted.findIndex(
+          (item) => compareKeys(item.key, cursor.key) > 0
+        );
+        if (start === -1) start = sorted.length;
+      } else {
+        let end = sorted.findIndex(
+          (item) => compareKeys(item.key, cursor.key) >= 0
+        );
+        if (end === -1) end = sorted.length;
+        start = Math.max(0, end - pageSize);
+      }
+    }
+    const end = Math.min(start + pageSize, sorted.length);
+    const pageItems = sorted.slice(start, end);
+
+    const hasPrev = start > 0;
+    const hasNext = end < sorted.length;
+    const metadata = {
+      pageSize,
+      totalCount: sorted.length,
+      totalPages: Math.ceil(sorted.length / pageSize),
+      hasNext,
+      hasPrev,
+      nextCursor:
+        hasNext && pageItems.length > 0
+          ? this._encodeCursor(
+              "after",
+              pageItems[pageItems.length - 1].key,
+              signature
+            )
+          : null,
+      prevCursor:
+        hasPrev && pageItems.length > 0
+          ? this._encodeCursor("before", pageItems[0].key, signature)
+          : null,
+    };
+    if (!cursorMode) metadata.page = page;
+
+    return {
+      data: pageItems.map((item) => item.record),
+      metadata,
+      message: cursorMode
+        ? `Cursor page, ${pageSize} items per page`
+        : `Page ${page}, ${pageSize} items per page`,
+    };
+  }
+
+  _encodeCursor(direction, key, signature) {
+    return Utilities.base64EncodeWebSafe(
+      JSON.stringify({ d: direction, k: key, s: signature })
+    );
+  }
+
+  _decodeCursor(cursor, signature) {
+    let payload;
+    try {
+      payload = JSON.parse(
+        Utilities.newBlob(
+          Utilities.base64DecodeWebSafe(String(cursor))
+        ).getDataAsString()
+      );
+    } catch (err) {
+      throw new ValidationError("Invalid cursor: could not be decoded");
+    }
+    if (
+      !payload ||
+      !["after", "before"].includes(payload.d) ||
+      !Array.isArray(payload.k)
+    ) {
+      throw new ValidationError("Invalid cursor: malformed payload");
+    }
+    if (payload.s !== signature) {
+      throw new ValidationError(
+        "Invalid cursor: it was created with a different sort order"
+      );
+    }
+    return { direction: payload.d, key: payload.k };
+  }
+
+  /**
+   * Returns the schema type of a column, including the default ID and DATE columns
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Lowercase field name
+   * @returns {string|null} The field type, or null if the field is not in the schema
+   */
+  _getColumnType(tableName, field) {
+    if (field === "id") return "number";
+    if (field === "date") return "date";
+    const type = this._getExpectedType(tableName, field);
+    // the richer types are filtered, sorted and aggregated like the value they store
+    if (type === "integer" || type === "decimal") return "number";
+    if (type === "enum" || type === "email" || type === "url") return "string";
+    return type;
+  }
+
+  /**
+   * Normalizes a cell value so it can be compared according to the field type.
+   * Handles values coming from the sheet as well as values parsed back from the cache
+   * (dates as ISO strings, booleans stored as "true"/"false").
+   * @private
+   * @param {*} value - Raw value
+   * @param {string|null} type - Field type from the schema
+   * @returns {*} Comparable value, or null for blank cells
+   */
+  _normalizeForCompare(value, type) {
+    if (value === undefined || value === null || value === "") return null;
+    switch (type) {
+      case "number": {
+        const num = typeof value === "number" ? value : Number(value);
+        return isNaN(num) ? null : num;
+      }
+      case "date": {
+        const time =
+          value instanceof Date ? value.getTime() : new Date(value).getTime();
+        return isNaN(time) ? null : time;
+      }
+      case "boolean":
+        if (typeof value === "boolean") return value;
+        if (String(value).toLowerCase() === "true") return true;
+        if (String(value).toLowerCase() === "false") return false;
+        return null;
+      case "string":
+        return String(value);
+      default:
+        return value instanceof Date ? value.getTime() : value;
+    }
+  }
+
+  /**
+   * First pass of a non fuzzy search: TextFinder locates the rows where a searched column
+   * contains one of the terms, only those rows are turned into records
+   * @private
+   * @returns {Object[]} Candidate records
+   */
+  _findSearchCandidates(sheet, fields, terms) {
+    const headers = this._getHeaders(sheet).map((header) =>
+      header.toLowerCase()
+    );
+    const searchedColumns = new Set(
+      fields.map((field) => headers.indexOf(field) + 1)
+    );
+
+    const candidateRows = new Set();
+    for (const term of terms) {
+      sheet
+        .createTextFinder(term)
+        .matchCase(false)
+        .matchEntireCell(false)
+        .findAll()
+        .forEach((range) => {
+          if (range.getRow() > 1 && searchedColumns.has(range.getColumn())) {
+            candidateRows.add(range.getRow());
+          }
+        });
+    }
+    if (candidateRows.size === 0) return [];
+
+    const rows = sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, headers.length)
+      .getValues();
+    return Array.from(candidateRows)
+      .sort((a, b) => a - b)
+      .map((rowIndex) =>
+        headers.reduce((acc, header, index) => {
+          acc[header] = rows[rowIndex - 2][index];
+          return acc;
+        }, {})
+      );
+  }
+
+  _getAllForSearch(tableName, useCache) {
+    const result = this.getAll(tableName, {}, useCache);
+    if (result.status !== 200) throw new Error(result.error);
+    return result.data;
+  }
+
+  /**
+   * Scores a record against the query terms: exact word 3, word prefix 2,
+   * substring 1 and, in fuzzy mode, a word within an edit distance of 1 (terms up to
+   * 4 characters) or 2
+   * @private
+   * @returns {{score: number, matchedTerms: number, highlights: Object<string, Array<{start: number, end: number, term: string}>>}}
+   */
+  _scoreSearchMatch(record, fields, terms, fuzzy) {
+    let score = 0;
+    let matchedTerms = 0;
+    const highlights = {};
+
+    for (const term of terms) {
+      let best = null;
+      for (const field of fields) {
+        const value = record[field];
+        if (value === undefined || value === null || value === "") continue;
+        const text = String(value);
+        for (const word of this._tokenize(text)) {
+          let wordScore = 0;
+          let start = word.start;
+          let end = word.end;
+          if (word.term === term) {
+            wordScore = 3;
+          } else if (word.term.startsWith(term)) {
+            wordScore = 2;
+            end = start + term.length;
+          } else if (word.term.includes(term)) {
+            wordScore = 1;
+            start += word.term.indexOf(term);
+            end = start + term.length;
+          } else if (
+            fuzzy &&
+            this._editDistance(word.term, term, term.length <= 4 ? 1 : 2) !== -1
+          ) {
+            wordScore = 1;
+          }
+          if (wordScore > 0) {
+            (highlights[field] = highlights[field] || []).push({
+              start,
+              end,
+              term,
+            });
+            if (!best || wordScore > best) best = wordScore;
+          }
+        }
+      }
+      if (best) {
+        score += best;
+        matchedTerms++;
+      }
+    }
+
+    for (const field of Object.keys(highlights)) {
+      highlights[field].sort((a, b) => a.start - b.start);
+    }
+    return { score, matchedTerms, highlights };
+  }
+
+  /**
+   * Splits text into lowercase word tokens, keeping their position in the original text
+   * @private
+   * @param {string} text - Text to tokenize
+   * @returns {Array<{term: string, start: number, end: number}>}
+   */
+  _tokenize(text) {
+    const tokens = [];
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordPattern.exec(String(text))) !== null) {
+      tokens.push({
+        term: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Levenshtein distance between two strings, bounded by maxDistance
+   * @private
+   * @returns {number} The distance, or -1 if it is greater than maxDistance
+   */
+  _editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return -1;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return -1;
+      previous = current;
+    }
+    return previous[b.length] <= maxDistance ? previous[b.length] : -1;
+  }
+
+  /**
+   * Normalizes a cell value according to its schema type so equal values share a facet.
+   * Dates are bucketed by day, month or year in the script time zone.
+   * @private
+   * @returns {string|number|boolean|null} Facet value, null for blank cells
+   */
+  _normalizeFacetValue(value, type, bucket) {
+    const normalized = this._normalizeForCompare(value, type);
+    if (normalized === null || type !== "date") return normalized;
+
+    const formats = { day: "yyyy-MM-dd", month: "yyyy-MM", year: "yyyy" };
+    return Utilities.formatDate(
+      new Date(normalized),
+      Session.getScriptTimeZone(),
+      formats[bucket]
+    );
+  }
+
+  _compareFacetValues(a, b) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * Validates a metric of an aggregation against the schema
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {string} key - Key of the metric in the result
+   * @param {Array} spec - [operation, field?]
+   * @returns {{key: string, operation: string, field: string|null, type: string|null}}
+   */
+  _compileMetric(tableName, key, spec) {
+    const [operation, rawField] = Array.isArray(spec) ? spec : [spec];
+    const SUPPORTED_TYPES = {
+      count: null,
+      sum: ["number"],
+      avg: ["number"],
+      min: ["number", "date", "string"],
+      max: ["number", "date", "string"],
+    };
+    if (!Object.prototype.hasOwnProperty.call(SUPPORTED_TYPES, operation)) {
+      throw new ValidationError(
+        `Invalid metric '${key}': unsupported operation '${operation}'. Valid operations are: ${Object.keys(
+          SUPPORTED_TYPES
+        ).join(", ")}`
+      );
+    }
+
+    if (rawField === undefined) {
+      if (operation !== "count") {
+        throw new ValidationError(
+          `Invalid metric '${key}': '${operation}' requires a field`
+        );
+      }
+      return { key, operation, field: null, type: null };
+    }
+
+    const field = String(rawField).toLowerCase();
+    const type = this._getColumnType(tableName, field);
+    if (!type) {
+      throw new ValidationError(
+        `Invalid metric '${key}': field '${field}' does not exist in table "${tableName}"`
+      );
+    }
+    const allowedTypes = SUPPORTED_TYPES[operation];
+    if (allowedTypes && !allowedTypes.includes(type)) {
+      throw new ValidationError(
+        `Invalid metric '${key}': '${operation}' is not supported on ${type} field '${field}'`
+      );
+    }
+    return { key, operation, field, type };
+  }
+
+  /**
+   * Turns a value produced by _normalizeForCompare back into a user facing value
+   * @private
+   */
+  _denormalizeCompareValue(value, type) {
+    if (value === null) return null;
+    return type === "date" ? new Date(value) : value;
+  }
+
+  /**
+   * Compiles a declarative where clause into a predicate function.
+   * Supported operators: eq, ne, gt, gte, lt, lte, in, contains, startsWith, between, isEmpty.
+   * json and array fields only support isEmpty.
+   * Conditions can be combined with `and`, `or` and `not`.
+   * @private
+   * @param {string} tableName - Name of the table the clause applies to
+   * @param {Object} where - Where clause, e.g. { status: "open", amount: { gt: 10 } }
+   * @returns {function(Object): boolean} Predicate that tells if a record matches
+   */
+  _compileWhere(tableName, where) {
+    if (!where || typeof where !== "object" || Array.isArray(where)) {
+      throw new ValidationError("Invalid where clause: expected an object");
+    }
+
+    const predicates = [];
+    for (const [key, condition] of Object.entries(where)) {
+      if (key === "and" || key === "or") {
+        if (!Array.isArray(condition) || condition.length === 0) {
+          throw new ValidationError(
+            `Invalid where clause: '${key}' expects a non-empty array of conditions`
+          );
+        }
+        const subPredicates = condition.map((sub) =>
+          this._compileWhere(tableName, sub)
+        );
+        predicates.push(
+          key === "and"
+            ? (record) => subPredicates.every((predicate) => predicate(record))
+            : (record) => subPredicates.some((predicate) => predicate(record))
+        );
+      } else if (key === "not") {
+        const subPredicate = this._compileWhere(tableName, condition);
+        predicates.push((record) => !subPredicate(record));
+      } else {
+        predicates.push(this._compileFieldCondition(tableName, key, condition));
+      }
+    }
+
+    return (record) => predicates.every((predicate) => predicate(record));
+  }
+
+  /**
+   * Compiles the condition on a single field of a where clause
+   * @private
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Field the condition applies to
+   * @param {*} condition - Plain value (equality) or an object of operators
+   * @returns {function(Object): boolean} Predicate for the field
+   */
+  _compileFieldCondition(tableName, field, condition) {
+    const type = this._getColumnType(tableName, field);
+    if (this.tables[tableName] && !type) {
+      throw new ValidationError(
+        `Invalid where clause: field '${field}' does not exist in table "${tableName}"`
+      );
+    }
+
+    const isOperatorObject =
+      condition !== null &&
+      typeof condition === "object" &&
+      !Array.isArray(condition) &&
+      !(condition instanceof Date);
+    const operators = isOperatorObject ? condition : { eq: condition };
+    const ignoreCase = !!operators.ignoreCase;
+    // Parsed objects and arrays can't be compared as values
+    if (type === "json" || type === "array") {
+      const unsupported = Object.keys(operators).find(
+        (operator) => operator !== "isEmpty"
+      );
+      if (unsupported) {
+        throw new ValidationError(
+          `Invalid where clause: '${unsupported}' is not supported on ${type} field '${field}', only 'isEmpty' is`
+        );
+      }
+    }
+
+    const normalize = (value) => {
+      const normalized = this._normalizeForCompare(value, type);
+      return ignoreCase && typeof normalized === "string"
+        ? normalized.toLowerCase()
+        : normalized;
+    };
+    // A blank operand compares to blank cells where allowed, a value the field type can't
+    // parse (e.g. "abc" on a number field) would silently do the same, so it is rejected
+    const toTarget = (operator, operand, allowBlank) => {
+      const target = normalize(operand);
+      if (target !== null) return target;
+      const isBlank =
+        operand === undefined || operand === null || operand === "";
+      if (!isBlank) {
+        throw new ValidationError(
+          `Invalid where clause: '${operator}' on ${type} field '${field}' got a value that can't be compared: ${JSON.stringify(
+            operand
+          )}`
+        );
+      }
+      if (!allowBlank) {
+        throw new ValidationError(
+          `Invalid where clause: '${operator}' on field '${field}' needs a non-empty value`
+        );
+      }
+      return null;
+    };
+    const checks = [];
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (operator === "ignoreCase") continue;
+      switch (operator) {
+        case "eq": {
+          const target = toTarget(operator, operand, true);
+          checks.push((value) => value === target);
+          break;
+        }
+        case "ne": {
+          const target = toTarget(operator, operand, true);
+          checks.push((value) => value !== target);
+          break;
+        }
+        case "gt":
+        case "gte":
+        case "lt":
+        case "lte": {
+          const target = toTarget(operator, operand, false);
+          checks.push((value) => {
+            if (value === null) return false;
+            if (operator === "gt") return value > target;
+            if (operator === "gte") return value >= target;
+            if (operator === "lt") return value < target;
+            return value <= target;
+          });
+          break;
+        }
+        case "in": {
+          if (!Array.isArray(operand)) {
+            throw new ValidationError(
+              `Invalid where clause: 'in' on field '${field}' expects an array`
+            );
+          }
+          const targets = operand.map((item) => toTarget(operator, item, true));
+          checks.push((value) => targets.includes(value));
+          break;
+        }
+        case "contains":
+        case "startsWith": {
+          const target = ignoreCase
+            ? String(operand).toLowerCase()
+            : String(operand);
+          checks.push((value) => {
+            if (value === null) return false;
+            const text = ignoreCase
+              ? String(value).toLowerCase()
+              : String(value);
+            return operator === "contains"
+              ? text.includes(target)
+              : text.startsWith(target);
+          });
+          break;
+        }
+        case "between": {
+          if (!Array.isArray(operand) || operand.length !== 2) {
+            throw new ValidationError(
+              `Invalid where clause: 'between' on field '${field}' expects [min, max]`
+            );
+          }
+          const min = toTarget(operator, operand[0], false);
+          const max = toTarget(operator, operand[1], false);
+          checks.push(
+            (value) => value !== null && value >= min && value <= max
+          );
+          break;
+        }
+        case "isEmpty":
+          checks.push((value) => (value === null) === !!operand);
+          break;
+        default:
+          throw new ValidationError(
+            `Invalid where clause: unsupported operator '${operator}' on field '${field}'`
+          );
+      }
+    }
+
+    return (record) => {
+      const value = normalize(record[field]);
+      return checks.every((check) => check(value));
+    };
+  }
+
+  applyColorScheme(tableName, colorScheme) {
+    try {
+      const sheet = this.spreadsheet.getSheetByName(tableName);
+      const lastRow = sheet.getLastRow() === 1 ? 10 : sheet.getLastRow();
+
+      const lastCol = sheet.getLastColumn();
+
+      // Define multiple color schemes
+      const colorSchemes = {
+        red: {
+          headerColor: "#E53935", // Red header
+          color1: "#FFCDD2", // Light Red for alternating rows
+          color2: "#FFEBEE", // Lighter Red
+        },
+        blue: {
+          headerColor: "#1E88E5", // Blue header
+          color1: "#BBDEFB", // Light Blue for alternating rows
+          color2: "#E3F2FD", // Lighter Blue
+        },
+        green: {
+          headerColor: "#43A047", // Green header
+          color1: "#C8E6C9", // Light Green for alternating rows
+          color2: "#E8F5E9", // Lighter Green
+        },
+        orange: {
+          headerColor: "#FB8C00", // Orange header
+          color1: "#FFE0B2", // Light Orange for alternating rows
+          color2: "#FFF3E0", // Lighter Orange
+        },
+        purple: {
+          headerColor: "#8E24AA", // Purple header
+          color1: "#E1BEE7", // Light Purple for alternating rows
+          color2: "#F3E5F5", // Lighter Purple
+        },
+      };
+
+      // Get the chosen color scheme based on the input
+      const scheme = colorSchemes[colorScheme];
+
+      if (!scheme) {
+        throw new Error(
+          "Color scheme not found. Available schemes: red, blue, green, orange, purple."
+        );
+      }
+
+      // Apply color to the header row
+      const headerRange = sheet.getRange(1, 1, 1, lastCol);
+      headerRange.setBackground(scheme.headerColor).setFontColor("#FFFFFF");
+
+      const sampleFromApplyColorScheme = {
+        headerColor: scheme.headerColor,
+        color1: scheme.color1,
+        color2: scheme.color2,
+      };
+
+      // Apply alternating colors to the data rows
+      for (let row = 2; row <= lastRow; row++) {
+        const range = sheet.getRange(row, 1, 1, lastCol);
+        if (row % 2 === 0) {
+          range.setBackground(scheme.color2); // Even rows
+        } else {
+          range.setBackground(scheme.color1); // Odd rows
+        }
+      }
+
+      console.log("sampleFromApplyColorScheme", sampleFromApplyColorScheme);
+      return {
+        status: 200,
+        message: `Color scheme applied to table ${tableName}`,
+        data: sampleFromApplyColorScheme,
+      };
+    } catch (error) {
+      console.error("[APPLY COLOR SCHEME] Error:", error);
+      return {
+        status: 500,
+        message: `Error applying color scheme to table ${tableName}, ${error}`,
+        data: {},
+      };
+    }
+  }
+}
+
+// Field types accepted in table configs
+DB.FIELD_TYPES = [
+  "string",
+  "number",
+  "boolean",
+  "date",
+  "integer",
+  "decimal",
+  "enum",
+  "email",
+  "url",
+  "json",
+  "array",
+];
+// Types the elements of an array field can have
+DB.ARRAY_ITEM_TYPES = ["string", "number", "integer", "boolean", "date"];
+// Marks the dates, and the objects that already use this key, of a response stored for an idempotency key
+DB.IDEMPOTENCY_TYPE_KEY = "__gasdb_type";
+
+/**
+ * Handle passed to the callback of db.transaction(callback).
+ * Its write methods have the same signature as the DB ones; before running they snapshot the
+ * tables they may touch, and a non-2xx result aborts the transaction.
+ * Reads can use the db directly, the lock is already held.
+ */
+class Transaction {
+  /**
+   * @param {DB} db - The DB instance the transaction runs against
+   */
+  constructor(db) {
+    this.db = db;
+    this.operations = [];
+    this.snapshots = new Map();
+    this.failedStatus = null;
+    // cache keys of the idempotent creates run in the transaction
+    this.idempotencyKeys = [];
+  }
+
+  create(tableName, data, keyOrder, addUpdatePolicy = null, options = {}) {
+    return this._run(
+      "create",
+      tableName,
+      [tableName],
+      () => this.db.create(tableName, data, keyOrder, addUpdatePolicy, options),
+      () => {
+        // The policy can turn the create into an update of the matching row
+        if (!addUpdatePolicy || !addUpdatePolicy.key) return;
+        const field = addUpdatePolicy.key.toLowerCase();
+        const value = String(addUpdatePolicy.value).toLowerCase();
+        this._captureWhere(
+          tableName,
+          (record) => String(record[field]).toLowerCase() === value
+        );
+      }
+    );
+  }
+
+  createMany(tableName, records, keyOrder, options = {}) {
+    return this._run("createMany", tableName, [tableName], () =>
+      this.db.createMany(tableName, records, keyOrder, options)
+    );
+  }
+
+  update(
+    tableName,
+    id,
+    data,
+    keyOrder,
+    typesChecked = false,
+    addUpdatePolicy = null,
+    options = {}
+  ) {
+    return this._run(
+      "update",
+      tableName,
+      [tableName],
+      () =>
+        this.db.update(
+          tableName,
+          id,
+          data,
+          keyOrder,
+          typesChecked,
+          addUpdatePolicy,
+          options
+        ),
+      () => this._captureIds(tableName, [id])
+    );
+  }
+
+  patch(tableName, id, partialData, options = {}) {
+    return this._run(
+      "patch",
+      tableName,
+      [tableName],
+      () => this.db.patch(tableName, id, partialData, options),
+      () => this._captureIds(tableName, [id])
+    );
+  }
+
+  updateMany(tableName, where, patch, options = {}) {
+    return this._run(
+      "updateMany",
+      tableName,
+      [tableName],
+      () => this.db.updateMany(tableName, where, patch, options),
+      () => this._captureWhere(tableName, this._compileWhere(tableName, where))
+    );
+  }
+
+  remove(tableName, historyTableName, id, options = {}) {
+    return this._run(
+      "remove",
+      tableName,
+      [tableName, historyTableName],
+      () => this.db.remove(tableName, historyTableName, id, options),
+      () => this._captureIds(tableName, [id])
+    );
+  }
+
+  removeWithCascade(tableName, historyTableName, id, options = {}) {
+    return this._run(
+      "removeWithCascade",
+      tableName,
+      [tableName, historyTableName, ...this._junctionTableNames()],
+      () => this.db.removeWithCascade(tableName, historyTableName, id, options),
+      () => {
+        this._captureIds(tableName, [id]);
+        this._captureRelations(tableName, [id]);
+      }
+    );
+  }
+
+  removeMany(tableName, historyTableName, idsOrWhere, options = {}) {
+    return this._run(
+      "removeMany",
+      tableName,
+      [
+        tableName,
+        historyTableName,
+        ...(options.cascade ? this._junctionTableNames() : []),
+      ],
+      () =>
+        this.db.removeMany(tableName, historyTableName, idsOrWhere, options),
+      () => {
+        const ids = Array.isArray(idsOrWhere)
+          ? this._captureIds(tableName, idsOrWhere)
+          : this._captureWhere(
+              tableName,
+              this._compileWhere(tableName, idsOrWhere)
+            );
+        if (options.cascade) this._captureRelations(tableName, ids);
+      }
+    );
+  }
+
+  restore(tableName, historyTableName, originalId) {
+    return this._run(
+      "restore",
+      tableName,
+      [tableName, historyTableName, ...this._junctionTableNames()],
+      () => this.db.restore(tableName, historyTableName, originalId),
+      () => {
+        // Restoring deletes the history rows of the record and of its archived junction rows,
+        // and clears the DELETED_AT mark of its soft-deleted junction rows
+        const cascadeFrom = `${tableName}:${originalId}`;
+        this._captureIds(tableName, [originalId]);
+        this._captureRelations(tableName, [originalId]);
+        this._captureWhere(
+          historyTableName,
+          (record) => String(record.original_id) === String(originalId)
+        );
+        this._junctionTableNames()
+          .filter((name) => name.startsWith("DELETED_"))
+          .forEach((name) =>
+            this._captureWhere(
+              name,
+              (record) => record.cascade_from === cascadeFrom
+            )
+          );
+      }
+    );
+  }
+
+  createJunctionRecord(junctionTableName, data, keyOrder, options = {}) {
+    return this._run(
+      "createJunctionRecord",
+      junctionTableName,
+      [junctionTableName],
+      () =>
+        this.db.createJunctionRecord(junctionTableName, data, keyOrder, options)
+    );
+  }
+
+  updateJunctionRecord(junctionTableName, id, data, keyOrder) {
+    return this._run(
+      "updateJunctionRecord",
+      junctionTableName,
+      [junctionTableName],
+      () => this.db.updateJunctionRecord(junctionTableName, id, data, keyOrder),
+      () => this._captureIds(junctionTableName, [id])
+    );
+  }
+
+  /**
+   * Snapshots the tables and the rows the operation is about to change, runs it and records its outcome
+   * @private
+   * @param {Function} [capture] - Keeps the before-image of the existing rows the operation changes
+   * @throws {Error} When the operation returns a non-2xx status
+   */
+  _run(operation, tableName, tableNames, execute, capture) {
+    tableNames.forEach((name) => this._snapshot(name));
+    if (capture) capture();
+
+    const result = execute();
+    this.operations.push({
+      operation,
+      tableName,
+      status: result.status,
+      result,
+    });
+    if (!(result.status >= 200 && result.status < 300)) {
+      this.failedStatus = result.status;
+      const reason =
+        typeof result.error === "object" ? result.error.message : result.error;
+      throw new Error(
+        `Transaction aborted: ${operation} on "${tableName}" failed with status ${result.status}: ${reason}`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Keeps the IDs a table had before its first write in the transaction. Rows with
+   * another ID are the ones the transaction added.
+   * @private
+   */
+  _snapshot(tableName) {
+    if (!tableName || this.snapshots.has(tableName)) return;
+    const sheet = this.db._getSheet(tableName);
+    if (!sheet) return;
+
+    this.snapshots.set(tableName, {
+      ids: new Set(this._readIds(sheet)),
+      rows: new Map(),
+    });
+  }
+
+  /**
+   * Keeps the before-image of the rows with the given IDs: the formula of each cell holding one,
+   * the stored value of the others
+   * @private
+   * @returns {string[]} IDs of the rows found in the table
+   */
+  _captureIds(tableName, ids) {
+    const snapshot = this.snapshots.get(tableName);
+    if (!snapshot) return [];
+    const sheet = this.db._getSheet(tableName);
+    const wanted = new Set(ids.map(String));
+    const rowIndexes = [];
+    const found = [];
+    this._readIds(sheet).forEach((id, i) => {
+      if (!wanted.has(id)) return;
+      found.push(id);
+      if (!snapshot.rows.has(id)) rowIndexes.push(i + 2);
+    });
+
+    const lastColumn = sheet.getLastColumn();
+    this._groupRuns(rowIndexes).forEach(({ start, count }) => {
+      const range = sheet.getRange(start, 1, count, lastColumn);
+      const formulas = range.getFormulas();
+      range.getValues().forEach((row, i) => {
+        snapshot.rows.set(
+          String(row[0]),
+          row.map((value, j) => ({ value, formula: formulas[i][j] }))
+        );
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Keeps the before-image of the rows matching a predicate on the record keyed by lowercase header
+   * @private
+   * @returns {string[]} IDs of the matching rows
+   */
+  _captureWhere(tableName, matches) {
+    if (!this.snapshots.has(tableName)) return [];
+    const sheet = this.db._getSheet(tableName);
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+    const headers = this.db._getHeaders(sheet);
+    const ids = sheet
+      .getRange(2, 1, lastRow - 1, headers.length)
+      .getValues()
+      .filter((row) =>
+        matches(
+          headers.reduce((acc, header, index) => {
+            acc[header.toLowerCase()] = row[index];
+            return acc;
+          }, {})
+        )
+      )
+      .map((row) => row[0]);
+    return this._captureIds(tableName, ids);
+  }
+
+  /**
+   * Keeps the before-image of the junction rows pointing to the given records
+   * @private
+   */
+  _captureRelations(tableName, ids) {
+    const fkField = `${tableName.toLowerCase()}_id`;
+    const wanted = new Set(ids.map(String));
+    this._junctionTableNames()
+      .filter((name) => !name.startsWith("DELETED_"))
+      .forEach((name) =>
+        this._captureWhere(name, (record) =>
+          wanted.has(String(record[fkField]))
+        )
+      );
+  }
+
+  /**
+   * Compiles a where clause for a capture. An invalid clause captures nothing, the
+   * operation itself reports the error.
+   * @private
+   */
+  _compileWhere(tableName, where) {
+    try {
+      return this.db._compileWhere(tableName, where);
+    } catch (err) {
+      return () => false;
+    }
+  }
+
+  /**
+   * Reads the ID column of a table, as strings
+   * @private
+   */
+  _readIds(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+    return sheet
+      .getRange(2, 1, lastRow - 1, 1)
+      .getValues()
+      .map(([id]) => String(id));
+  }
+
+  /**
+   * Groups sorted 1-based row indexes into runs of adjacent rows
+   * @private
+   * @returns {Array<{start: number, count: number}>}
+   */
+  _groupRuns(rowIndexes) {
+    const runs = [];
+    for (const rowIndex of rowIndexes) {
+      const last = runs[runs.length - 1];
+      if (last && last.start + last.count === rowIndex) last.count++;
+      else runs.push({ start: rowIndex, count: 1 });
+    }
+    return runs;
+  }
+
+  /**
+   * Restores every snapshotted table: rows added since are deleted and the before-images
+   * are written back, in ID order for the rows that were removed
+   * @private
+   * @returns {{restored: string[], failed: string[]}} Names of the restored tables and of
+   *   the tables that could not be restored
+   */
+  _rollback() {
+    const restored = [];
+    const failed = [];
+    for (const [tableName, snapshot] of this.snapshots) {
+      try {
+        const sheet = this.db._getSheet(tableName);
+        const added = [];
+        this._readIds(sheet).forEach((id, i) => {
+          if (!snapshot.ids.has(id)) added.push(i + 2);
+        });
+        // Bottom-up so the remaining row numbers stay valid
+        this._groupRuns(added)
+          .reverse()
+          .forEach(({ start, count }) => sheet.deleteRows(start, count));
+
+        const ids = this._readIds(sheet);
+        for (const [id, row] of snapshot.rows) {
+          let position = ids.indexOf(id);
+          if (position === -1) {
+            position = ids.findIndex((current) => Number(current) > Number(id));
+            if (position === -1) {
+              position = ids.length;
+            } else {
+              sheet.insertRowBefore(position + 2);
+            }
+            ids.splice(position, 0, id);
+          }
+          sheet
+            .getRange(position + 2, 1, 1, row.length)
+            .setValues([row.map((cell) => this._toCellInput(cell))]);
+        }
+        this.db._clearCache(tableName);
+        restored.push(tableName);
+      } catch (err) {
+        console.error(
+          `[TRANSACTION] Could not restore table ${tableName}: ${err.message}`
+        );
+        failed.push(tableName);
+      }
+    }
+    this.idempotencyKeys.forEach((key) => this.db.cache.remove(key));
+    return { restored, failed };
+  }
+
+  /**
+   * Turns a captured cell back into what setValues has to receive to store it unchanged.
+   * Text gets the apostrophe text marker, which Sheets does not store, so it is not parsed
+   * as a formula, a number or a date.
+   * @private
+   */
+  _toCellInput(cell) {
+    if (cell.formula) return cell.formula;
+    const { value } = cell;
+    return typeof value === "string" && value !== "" ? `'${value}` : value;
+  }
+
+  _junctionTableNames() {
+    return this.db.spreadsheet
+      .getSheets()
+      .map((sheet) => sheet.getName())
+      .filter((name) => name.includes("RELATION"));
+  }
+}
+
+/**
+ * Schema operations handed to the up(schema) function of a migration by db.migrate().
+ * Every operation is applied to the main table and, when it exists, its history table,
+ * and keeps the schema context of the table in sync. Sheets are copied to a hidden backup
+ * sheet before their first change so a failing migration can be rolled back.
+ */
+class MigrationSchema {
+  /**
+   * @param {DB} db - The DB instance the migration runs against
+   */
+  constructor(db) {
+    this.db = db;
+    this.snapshots = new Map();
+    this.contextSnapshots = new Map();
+    this.optionsSnapshots = new Map();
+  }
+
+  /**
+   * Adds a column, existing rows get the field default or a blank cell
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Name of the new field
+   * @param {string|Object} definition - Field type or { type, default? }, as in the table config
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.after] - Field the column goes after, defaults to the last field column
+   */
+  addColumn(tableName, field, definition, options = {}) {
+    const normalized = this.db._normalizeSchemaFields({
+      [field]: definition,
+    })[field];
+    const header = this._toHeader(field);
+    const value = normalized.default === undefined ? "" : normalized.default;
+
+    this._forEachSheet(tableName, (sheet, headers, isHistory) => {
+      if (headers.includes(header)) {
+        throw new ValidationError(
+          `Invalid migration: column "${field}" already exists in ${sheet.getName()}`
+        );
+      }
+      let afterIndex;
+      if (options.after) {
+        afterIndex = headers.indexOf(this._toHeader(options.after));
+        if (afterIndex === -1) {
+          if (!isHistory) {
+            throw new ValidationError(
+              `Invalid migration: column "${options.after}" not found in ${tableName}`
+            );
           }
+          afterIndex = this._lastFieldIndex(headers);
+        }
+      } else {
+        afterIndex = this._lastFieldIndex(headers);
+      }
+
+      sheet.insertColumnAfter(afterIndex + 1);
+      sheet.getRange(1, afterIndex + 2).setValue(header);
+      const lastRow = sheet.getLastRow();
+      if (lastRow > 1 && value !== "") {
+        sheet
+          .getRange(2, afterIndex + 2, lastRow - 1, 1)
+          .setValues(Array.from({ length: lastRow - 1 }, () => [value]));
+      }
+    });
+    this._updateContext(tableName, (fields) => {
+      fields[field] = normalized;
+    });
+  }
+
+  /**
+   * Renames a column, the values are kept. A foreign key column keeps its relation: it is
+   * renamed in the relations of the table, or declared there when it was implied by the
+   * <table>_id name.
+   * @param {string} tableName - Name of the table
+   * @param {string} from - Current field name
+   * @param {string} to - New field name
+   */
+  renameColumn(tableName, from, to) {
+    const fromHeader = this._toHeader(from);
+    const toHeader = this._toHeader(to);
+    this._checkManagedColumn(fromHeader);
+
+    this._forEachSheet(tableName, (sheet, headers, isHistory) => {
+      const index = this._requireColumn(sheet, headers, from, isHistory);
+      if (index === -1) return;
+      if (headers.includes(toHeader)) {
+        throw new ValidationError(
+          `Invalid migration: column "${to}" already exists in ${sheet.getName()}`
+        );
+      }
+      sheet.getRange(1, index + 1).setValue(toHeader);
+    });
+    this._updateContext(tableName, (fields) => {
+      if (!fields[from]) return;
+      fields[to] = fields[from];
+      delete fields[from];
+    });
+    this._renameRelation(tableName, from, to);
+  }
+
+  /**
+   * Deletes a column and its values
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Field to drop
+   */
+  dropColumn(tableName, field) {
+    this._checkManagedColumn(this._toHeader(field));
+
+    this._forEachSheet(tableName, (sheet, headers, isHistory) => {
+      const index = this._requireColumn(sheet, headers, field, isHistory);
+      if (index !== -1) sheet.deleteColumn(index + 1);
+    });
+    this._updateContext(tableName, (fields) => {
+      delete fields[field];
+    });
+  }
+
+  /**
+   * Changes the type of a field and converts its existing values. Blank cells stay blank.
+   * A value that cannot be converted aborts the migration.
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Field to change
+   * @param {string|Object} definition - New type or { type, default? }
+   * @param {function(*): *} [convert] - Custom conversion of a cell value, replaces the built-in one
+   */
+  changeType(tableName, field, definition, convert) {
+    this._checkManagedColumn(this._toHeader(field));
+    const normalized = this.db._normalizeSchemaFields({
+      [field]: definition,
+    })[field];
+    const toType = (value) =>
+      value === "" || value === null || value === undefined
+        ? ""
+        : convert
+        ? convert(value)
+        : this._convertValue(value, normalized, field);
+
+    this._forEachSheet(tableName, (sheet, headers, isHistory) => {
+      const index = this._requireColumn(sheet, headers, field, isHistory);
+      const lastRow = sheet.getLastRow();
+      if (index === -1 || lastRow <= 1) return;
+      // Only this column is rewritten: formulas are kept, converted values sanitized
+      const range = sheet.getRange(2, index + 1, lastRow - 1, 1);
+      const formulas = range.getFormulas();
+      // Plain text format first, or Sheets parses converted text like "42" or "2024-01-01" back
+      if (MigrationSchema.TEXT_TYPES.includes(normalized.type)) {
+        range.setNumberFormat("@");
+      }
+      range.setValues(
+        range
+          .getValues()
+          .map((row, i) => [
+            formulas[i][0] || this.db._sanitizeForCSV(toType(row[0])),
+          ])
+      );
+    });
+    this._updateContext(tableName, (fields) => {
+      fields[field] = normalized;
+    });
+  }
+
+  /**
+   * Puts the field columns in the given order, right after ID and DATE.
+   * Columns managed by the library (VERSION, DELETED_AT, history metadata) stay after them.
+   * @param {string} tableName - Name of the table
+   * @param {string[]} fields - Every field of the table, in the new order
+   */
+  reorderColumns(tableName, fields) {
+    const main = this.db._getSheet(tableName);
+    if (!main) throw new Error(`Table "${tableName}" not found`);
+    const current = this.db
+      ._getHeaders(main)
+      .slice(2)
+      .filter((header) => !MigrationSchema.MANAGED_HEADERS.includes(header));
+    const ordered = (fields || []).map((field) => this._toHeader(field));
+    if (
+      ordered.length !== current.length ||
+      new Set(ordered).size !== ordered.length ||
+      !ordered.every((header) => current.includes(header))
+    ) {
+      throw new ValidationError(
+        `Invalid migration: reorderColumns expects every field of ${tableName} once, got ${(
+          fields || []
+        ).join(", ")}`
+      );
+    }
+
+    this._forEachSheet(tableName, (sheet, headers) => {
+      const newHeaders = [
+        ...headers.slice(0, 2),
+        ...ordered.filter((header) => headers.includes(header)),
+        ...headers.slice(2).filter((header) => !ordered.includes(header)),
+      ];
+      this.db._moveColumnsToOrder(sheet, headers, newHeaders);
+    });
+    this._updateContext(tableName, () => {});
+  }
+
+  /**
+   * Moves the relation of a renamed foreign key column to its new name
+   * @private
+   */
+  _renameRelation(tableName, from, to) {
+    const options = this.db.tableOptions[tableName];
+    if (!options) return;
+    const fromField = from.trim().toLowerCase();
+    const toField = to.trim().toLowerCase();
+    const relations = options.relations || {};
+    let target = relations[fromField];
+    if (target === undefined) {
+      // An undeclared <table>_id column points to its table only through its name
+      const implied = fromField.replace(/_id$/, "").toUpperCase();
+      const isImplied =
+        fromField.endsWith("_id") &&
+        !Object.values(relations).includes(implied) &&
+        this.db._getSheet(implied);
+      if (!isImplied) return;
+      target = implied;
+    }
+    if (!this.optionsSnapshots.has(tableName)) {
+      this.optionsSnapshots.set(tableName, options);
+    }
+    const renamed = { ...relations, [toField]: target };
+    delete renamed[fromField];
+    this.db.tableOptions[tableName] = { ...options, relations: renamed };
+  }
 
-          const isValidDate = isDateObject && hasValidTimestamp;
-          console.log("[DATE CHECK] Final result:", {
-            isDateObject,
-            hasValidTimestamp,
-            isValid: isValidDate,
-          });
+  /**
+   * Runs an operation on the main table and its history table, snapshotting each sheet first
+   * @private
+   */
+  _forEachSheet(tableName, operation) {
+    const main = this.db._getSheet(tableName);
+    if (!main) throw new Error(`Table "${tableName}" not found`);
+    const history = this.db._getSheet(this.db._getHistoryTableName(tableName));
+
+    [main, history].forEach((sheet) => {
+      if (!sheet) return;
+      this._snapshot(sheet);
+      operation(sheet, this.db._getHeaders(sheet), sheet !== main);
+      this.db._clearCache(sheet.getName());
+    });
+  }
 
-          return isValidDate;
-        } catch (err) {
-          console.error("[DATE CHECK] Error during date validation:", {
-            error: err.message,
-            stack: err.stack,
-          });
-          return false;
+  /**
+   * Index of a column, it must exist in the main table. History tables created before
+   * the column was added may lack it, -1 is returned for them.
+   * @private
+   */
+  _requireColumn(sheet, headers, field, isHistory) {
+    const index = headers.indexOf(this._toHeader(field));
+    if (index === -1 && !isHistory) {
+      throw new ValidationError(
+        `Invalid migration: column "${field}" not found in ${sheet.getName()}`
+      );
+    }
+    return index;
+  }
+
+  _checkManagedColumn(header) {
+    if (["ID", "DATE", ...MigrationSchema.MANAGED_HEADERS].includes(header)) {
+      throw new ValidationError(
+        `Invalid migration: column "${header}" is managed by the library`
+      );
+    }
+  }
+
+  _lastFieldIndex(headers) {
+    let index = headers.length - 1;
+    while (
+      index > 1 &&
+      MigrationSchema.MANAGED_HEADERS.includes(headers[index])
+    )
+      index--;
+    return index;
+  }
+
+  _toHeader(field) {
+    if (typeof field !== "string" || field.trim() === "") {
+      throw new ValidationError(
+        "Invalid migration: field names must be non-empty strings"
+      );
+    }
+    return field.trim().toUpperCase();
+  }
+
+  /**
+   * Built-in conversion of a cell value for changeType. The converted value must pass the
+   * type check of the new definition, booleans are stored as "true"/"false" and json and
+   * array values as JSON text.
+   * @private
+   */
+  _convertValue(value, definition, field) {
+    const type = definition.type;
+    let converted;
+    switch (type) {
+      case "number":
+      case "integer":
+      case "decimal":
+        converted = typeof value === "number" ? value : Number(value);
+        if (isNaN(converted)) converted = undefined;
+        break;
+      case "string":
+      case "enum":
+      case "email":
+      case "url":
+        converted = value instanceof Date ? value.toISOString() : String(value);
+        break;
+      case "json":
+        converted = this._parseJson(value);
+        if (converted === undefined) converted = value;
+        break;
+      case "array":
+        converted = this._parseJson(value);
+        if (!Array.isArray(converted)) {
+          // "a, b" becomes ["a", "b"], any other value a one item array
+          converted =
+            typeof value === "string"
+              ? value.split(",").map((item) => item.trim())
+              : [value];
+          if (definition.items) {
+            converted = converted.map((item) =>
+              this._convertValue(item, { type: definition.items }, field)
+            );
+          }
         }
+        break;
+      case "boolean":
+        if (typeof value === "boolean") converted = value;
+        else if (["true", "1"].includes(String(value).toLowerCase()))
+          converted = true;
+        else if (["false", "0"].includes(String(value).toLowerCase()))
+          converted = false;
+        break;
+      case "date":
+        converted = value instanceof Date ? value : new Date(value);
+        if (isNaN(converted.getTime())) converted = undefined;
+        break;
+    }
+    if (
+      converted === undefined ||
+      !this.db._checkType(converted, type, definition)
+    ) {
+      throw new Error(
+        `Cannot convert value "${value}" of field "${field}" to ${type}`
+      );
+    }
+    // Stored the way DB writes the type: booleans as "true"/"false", json and array as JSON text
+    if (type === "boolean") return String(converted);
+    return type === "json" || type === "array"
+      ? JSON.stringify(converted)
+      : converted;
+  }
 
-      default:
-        console.warn("[TYPE CHECK] Unknown type:", expectedType);
-        return false;
+  _parseJson(value) {
+    if (typeof value !== "string") return undefined;
+    try {
+      return JSON.parse(value.replace(/^'+/, ""));
+    } catch (err) {
+      return undefined;
     }
   }
 
-  _checkValidCreationTypes(tableFields) {
-    const VALID_TYPES = ["string", "number", "boolean", "date"];
-    const validTypes = VALID_TYPES.join(", ");
-    if (tableFields) {
-      for (const [field, type] of Object.entries(tableFields)) {
-        if (!VALID_TYPES.includes(type)) {
-          throw new Error(
-            `Invalid type "${type}" for field "${field}". Valid types are: ${validTypes}`
-          );
+  /**
+   * Applies a change to the schema context of the table, if it is in context, and
+   * puts its fields back in column order
+   * @private
+   */
+  _updateContext(tableName, change) {
+    const fields = this.db.tables[tableName];
+    if (!fields) return;
+    if (!this.contextSnapshots.has(tableName)) {
+      this.contextSnapshots.set(tableName, { ...fields });
+    }
+    change(fields);
+
+    const ordered = {};
+    this.db
+      ._getHeaders(this.db._getSheet(tableName))
+      .map((header) => header.toLowerCase())
+      .forEach((field) => {
+        if (fields[field]) ordered[field] = fields[field];
+      });
+    this.db.tables[tableName] = ordered;
+  }
+
+  /**
+   * Copies a sheet to a hidden backup sheet before its first change. The copy keeps
+   * formulas and formats, so a rollback gives back the sheet the migration started from.
+   * @private
+   */
+  _snapshot(sheet) {
+    const name = sheet.getName();
+    if (this.snapshots.has(name)) return;
+    const backupName = `_GASDB_BACKUP_${name}`;
+    const leftover = this.db.spreadsheet.getSheetByName(backupName);
+    if (leftover) this.db.spreadsheet.deleteSheet(leftover);
+    const backup = sheet.copyTo(this.db.spreadsheet).setName(backupName);
+    backup.hideSheet();
+    this.snapshots.set(name, backup);
+  }
+
+  /**
+   * Copies every backup over its sheet, restores the schema context and deletes the backups
+   * @private
+   */
+  _rollback() {
+    for (const [name, backup] of this.snapshots) {
+      try {
+        const sheet = this.db._getSheet(name);
+        sheet.clear();
+        // A dropped column shrinks the sheet, make room before copying it back
+        const missingColumns = backup.getMaxColumns() - sheet.getMaxColumns();
+        if (missingColumns > 0) {
+          sheet.insertColumnsAfter(sheet.getMaxColumns(), missingColumns);
         }
+        backup.getDataRange().copyTo(sheet.getRange(1, 1));
+        this.db._clearCache(name);
+      } catch (err) {
+        console.error(
+          `[MIGRATION] Could not restore table ${name}: ${err.message}`
+        );
       }
     }
+    for (const [tableName, fields] of this.contextSnapshots) {
+      this.db.tables[tableName] = fields;
+    }
+    for (const [tableName, options] of this.optionsSnapshots) {
+      this.db.tableOptions[tableName] = options;
+    }
+    this._dropBackups();
   }
 
-  _getFieldIndex(tableName, fieldName) {
-    const table = this._getSheet(tableName);
-    if (!table) {
-      throw new Error(`Table '${tableName}' not found`);
+  /**
+   * Deletes the backup sheets once the migration is committed or rolled back
+   * @private
+   */
+  _dropBackups() {
+    for (const [name, backup] of this.snapshots) {
+      try {
+        this.db.spreadsheet.deleteSheet(backup);
+      } catch (err) {
+        console.error(
+          `[MIGRATION] Could not delete the backup of ${name}: ${err.message}`
+        );
+      }
     }
+    this.snapshots.clear();
+  }
+}
 
-    const headers = this._getHeaders(table);
-    const fieldIndex = headers.findIndex(
-      (header) => header.toLowerCase() === fieldName.toLowerCase()
-    );
+// Columns added and filled by the library, migrations leave them alone
+MigrationSchema.MANAGED_HEADERS = [
+  "DELETED_AT",
+  "VERSION",
+  "ORIGINAL_ID",
+  "ORIGINAL_DATE",
+  "CASCADE_FROM",
+];
 
-    return fieldIndex;
+// Types changeType writes into a plain text column
+MigrationSchema.TEXT_TYPES = ["string", "enum", "email", "url"];
+
+/**
+ * Chainable query builder returned by db.from(tableName).
+ * Compiles down to the existing read paths of the DB class (read, getAll, getRelatedRecords)
+ * and returns the same { status, data, message } envelope.
+ */
+class QueryBuilder {
+  /**
+   * @param {DB} db - The DB instance to run the query against
+   * @param {string} tableName - Name of the table to query
+   */
+  constructor(db, tableName) {
+    this.db = db;
+    this.tableName = tableName;
+    this.whereClause = null;
+    this.relation = null;
+    this.sorts = [];
+    this.collation = null;
+    this.fields = null;
+    this.limitCount = null;
+    this.offsetCount = 0;
+    this.cacheEnabled = true;
+    this.includeDeleted = false;
   }
 
-  applyColorScheme(tableName, colorScheme) {
-    try {
-      const sheet = this.spreadsheet.getSheetByName(tableName);
-      const lastRow = sheet.getLastRow() === 1 ? 10 : sheet.getLastRow();
+  /**
+   * Adds a where clause, successive calls are combined with `and`
+   * @param {Object} clause - Where clause, same syntax as getAll's options.where
+   * @returns {QueryBuilder}
+   */
+  where(clause) {
+    this.whereClause = this.whereClause
+      ? { and: [this.whereClause, clause] }
+      : clause;
+    return this;
+  }
 
-      const lastCol = sheet.getLastColumn();
+  /**
+   * Restricts the query to the records related to a foreign key (uses getRelatedRecords)
+   * @param {string} field - Field holding the foreign key, e.g. "orders_id"
+   * @param {number} foreignKey - Foreign key value
+   * @returns {QueryBuilder}
+   */
+  relatedTo(field, foreignKey) {
+    this.relation = { field, foreignKey };
+    return this;
+  }
 
-      // Define multiple color schemes
-      const colorSchemes = {
-        red: {
-          headerColor: "#E53935", // Red header
-          color1: "#FFCDD2", // Light Red for alternating rows
-          color2: "#FFEBEE", // Lighter Red
-        },
-        blue: {
-          headerColor: "#1E88E5", // Blue header
-          color1: "#BBDEFB", // Light Blue for alternating rows
-          color2: "#E3F2FD", // Lighter Blue
-        },
-        green: {
-          headerColor: "#43A047", // Green header
-          color1: "#C8E6C9", // Light Green for alternating rows
-          color2: "#E8F5E9", // Lighter Green
-        },
-        orange: {
-          headerColor: "#FB8C00", // Orange header
-          color1: "#FFE0B2", // Light Orange for alternating rows
-          color2: "#FFF3E0", // Lighter Orange
-        },
-        purple: {
-          headerColor: "#8E24AA", // Purple header
-          color1: "#E1BEE7", // Light Purple for alternating rows
-          color2: "#F3E5F5", // Lighter Purple
-        },
-      };
+  /**
+   * Adds a sort key, successive calls sort by the next key on ties
+   * @param {string} field - Field to sort by
+   * @param {string} [order="asc"] - 'asc' or 'desc'
+   * @param {string} [nulls="last"] - Where blank cells go: 'first' or 'last'
+   * @returns {QueryBuilder}
+   */
+  orderBy(field, order = "asc", nulls = "last") {
+    this.sorts.push({ field, order, nulls });
+    return this;
+  }
 
-      // Get the chosen color scheme based on the input
-      const scheme = colorSchemes[colorScheme];
+  /**
+   * @param {Object} collation - { locale, caseSensitive } used to compare string fields
+   * @returns {QueryBuilder}
+   */
+  collate(collation) {
+    this.collation = collation;
+    return this;
+  }
 
-      if (!scheme) {
-        throw new Error(
-          "Color scheme not found. Available schemes: red, blue, green, orange, purple."
-        );
-      }
+  /**
+   * @param {string[]} fields - Fields to return, `id` is always included
+   * @returns {QueryBuilder}
+   */
+  select(fields) {
+    this.fields = fields;
+    return this;
+  }
 
-      // Apply color to the header row
-      const headerRange = sheet.getRange(1, 1, 1, lastCol);
-      headerRange.setBackground(scheme.headerColor).setFontColor("#FFFFFF");
+  /**
+   * @param {number} count - Maximum number of records to return
+   * @returns {QueryBuilder}
+   */
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
 
-      const sampleFromApplyColorScheme = {
-        headerColor: scheme.headerColor,
-        color1: scheme.color1,
-        color2: scheme.color2,
-      };
+  /**
+   * @param {number} count - Number of records to skip
+   * @returns {QueryBuilder}
+   */
+  offset(count) {
+    this.offsetCount = count;
+    return this;
+  }
 
-      // Apply alternating colors to the data rows
-      for (let row = 2; row <= lastRow; row++) {
-        const range = sheet.getRange(row, 1, 1, lastCol);
-        if (row % 2 === 0) {
-          range.setBackground(scheme.color2); // Even rows
-        } else {
-          range.setBackground(scheme.color1); // Odd rows
-        }
+  /**
+   * @param {boolean} flag - Whether getAll may use cached records (default: true)
+   * @returns {QueryBuilder}
+   */
+  useCache(flag) {
+    this.cacheEnabled = flag;
+    return this;
+  }
+
+  /**
+   * @param {boolean} [flag=true] - Whether soft-deleted records are returned too (default: false)
+   * @returns {QueryBuilder}
+   */
+  withDeleted(flag = true) {
+    this.includeDeleted = flag;
+    return this;
+  }
+
+  /**
+   * Runs the query
+   * @returns {Object} Status and array of records
+   */
+  run() {
+    try {
+      this._validateWindow();
+      const result = this._fetch();
+      if (result.status !== 200) return result;
+
+      let data = result.data;
+      if (this.offsetCount || this.limitCount !== null) {
+        const end =
+          this.limitCount !== null
+            ? this.offsetCount + this.limitCount
+            : undefined;
+        data = data.slice(this.offsetCount, end);
       }
 
-      console.log("sampleFromApplyColorScheme", sampleFromApplyColorScheme);
       return {
         status: 200,
-        message: `Color scheme applied to table ${tableName}`,
-        data: sampleFromApplyColorScheme,
+        data: data,
+        message: `${result.message} (${data.length} records returned)`,
       };
-    } catch (error) {
-      console.error("[APPLY COLOR SCHEME] Error:", error);
+    } catch (err) {
+      console.error(`Error in query on "${this.tableName}": ${err.message}`);
       return {
-        status: 500,
-        message: `Error applying color scheme to table ${tableName}, ${error}`,
-        data: {},
+        status: err instanceof ValidationError ? 400 : 500,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Runs the query and returns only the first matching record
+   * @returns {Object} Status and the first record, 404 if nothing matches
+   */
+  first() {
+    const previousLimit = this.limitCount;
+    this.limitCount = 1;
+    const result = this.run();
+    this.limitCount = previousLimit;
+    if (result.status !== 200) return result;
+    if (result.data.length === 0) {
+      return {
+        status: 404,
+        error: `No record in table "${this.tableName}" matches the query`,
+      };
+    }
+    return {
+      status: 200,
+      data: result.data[0],
+      message: "First matching record retrieved successfully",
+    };
+  }
+
+  /**
+   * Counts the records matching the query, ignoring limit and offset
+   * @returns {Object} Status and the number of matching records
+   */
+  count() {
+    try {
+      const result = this._fetch();
+      if (result.status !== 200) return result;
+      return {
+        status: 200,
+        data: result.data.length,
+        message: `${result.data.length} records match the query`,
+      };
+    } catch (err) {
+      console.error(`Error in count on "${this.tableName}": ${err.message}`);
+      return {
+        status: err instanceof ValidationError ? 400 : 500,
+        error: err.message,
       };
     }
   }
+
+  /**
+   * Tells if at least one record matches the query
+   * @returns {Object} Status and a boolean
+   */
+  exists() {
+    const result = this.count();
+    if (result.status !== 200) return result;
+    return {
+      status: 200,
+      data: result.data > 0,
+      message: result.data > 0 ? "Matching records found" : "No matches found",
+    };
+  }
+
+  _validateWindow() {
+    const isValid = (n) => Number.isInteger(n) && n >= 0;
+    if (this.limitCount !== null && !isValid(this.limitCount)) {
+      throw new ValidationError(
+        "Invalid limit, expected a non-negative integer"
+      );
+    }
+    if (!isValid(this.offsetCount)) {
+      throw new ValidationError(
+        "Invalid offset, expected a non-negative integer"
+      );
+    }
+  }
+
+  /**
+   * Picks the cheapest read path for the query and returns every matching record
+   * @private
+   */
+  _fetch() {
+    const sortOptions = {
+      ...(this.sorts.length > 0 && { sortBy: this.sorts }),
+      ...(this.collation && { collation: this.collation }),
+      ...(this.includeDeleted && { withDeleted: true }),
+    };
+
+    if (this.relation) {
+      const { field, foreignKey } = this.relation;
+      const fieldIndex = this.db._getFieldIndex(this.tableName, field);
+      const result = this.db.getRelatedRecords(
+        foreignKey,
+        this.tableName,
+        field,
+        fieldIndex,
+        sortOptions,
+        false
+      );
+      if (result.status !== 200) return result;
+      let data = result.data;
+      if (this.whereClause) {
+        data = data.filter(
+          this.db._compileWhere(this.tableName, this.whereClause)
+        );
+      }
+      if (this.fields) {
+        this.db._resolveProjection(
+          this.tableName,
+          this.db._getHeaders(this.db._getSheet(this.tableName)),
+          this.fields
+        );
+        data = data.map((record) =>
+          this.db._projectRecord(record, this.fields)
+        );
+      }
+      return { ...result, data };
+    }
+
+    const whereKeys = this.whereClause ? Object.keys(this.whereClause) : [];
+    if (
+      whereKeys.length === 1 &&
+      whereKeys[0] === "id" &&
+      typeof this.whereClause.id === "number"
+    ) {
+      const result = this.db.read(this.tableName, this.whereClause.id, {
+        select: this.fields,
+        withDeleted: this.includeDeleted,
+      });
+      if (result.status === 404) {
+        return { status: 200, data: [], message: result.error };
+      }
+      if (result.status !== 200) return result;
+      return { status: 200, data: [result.data], message: "Record found" };
+    }
+
+    return this.db.getAll(
+      this.tableName,
+      { where: this.whereClause, select: this.fields, ...sortOptions },
+      this.cacheEnabled
+    );
+  }
 }
 
 /**